@@ -8,6 +8,18 @@
  * This includes generative patterns that often rely on randomness or complex geometric calculations.
  */
 class AdvancedPatterns {
+  /**
+   * The maximum number of dots in a weighted Voronoi stipple.
+   * @type {number}
+   */
+  static STIPPLE_MAX_POINTS = 50000;
+
+  /**
+   * The maximum number of density samples a weighted Voronoi stipple assigns in each Lloyd iteration.
+   * @type {number}
+   */
+  static STIPPLE_MAX_SAMPLES = 1000000;
+
   /**
    * Initializes the AdvancedPatterns class and sets up a seeded random number generator
    * for deterministic "randomness", ensuring patterns are reproducible.
@@ -35,96 +47,534 @@ class AdvancedPatterns {
   }
 
   /**
-   * Generates a Voronoi cell pattern. The pattern consists of irregular, organic-looking cells
-   * where the size and shape are influenced by image intensity.
-   * This implementation correctly supports grid rotation.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
+   * Generates a Voronoi pattern from seed points on a jittered, rotated grid. The seeds are
+   * triangulated (Delaunay), and each seed's Voronoi cell is the polygon through the
+   * circumcenters of the triangles around it. Everything is clipped to the image.
+   * Three render modes are available:
+   * - 'cells': every cell shrunk toward its centroid, so that its area follows the intensity.
+   * - 'edges': the cell walls, each shared edge drawn once.
+   * - 'delaunay': the edges of the triangulation.
+   * The line modes have no dot size to vary, so their seeds are placed more densely in dark areas instead.
    * @param {number[]} values - An array of intensity values (0-1) for each pixel.
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - Configuration object.
-   * @param {number} config.dotSize - The base size of the pattern elements.
    * @param {number} config.spacing - The spacing between pattern grid points.
    * @param {number} config.angle - The rotation angle of the underlying grid.
+   * @param {number} [config.randomness=30] - How far seeds are jittered, as a percentage of the grid spacing.
+   * @param {string} [config.voronoiMode='cells'] - The render mode: 'cells', 'edges' or 'delaunay'.
    * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
    * @param {number} config.strokeWidth - The width of strokes if renderStyle is 'stroke'.
-   * @returns {string} An SVG string containing the generated polygon elements.
+   * @returns {object[]} The generated cell polygons or line segments.
    */
-  generateVoronoiPattern(ctx, values, width, height, config) {
-    const { dotSize, spacing, angle, renderStyle, strokeWidth } = config;
-    let svg = '';
+  generateVoronoiPattern(values, width, height, config) {
+    const { spacing, angle, renderStyle, strokeWidth } = config;
+    const mode = config.voronoiMode || 'cells';
+    const random = this.createSeededRandom(12345 + Math.round(angle || 0));
+    const intensityAt = (x, y) => values[Math.floor(Math.min(height - 1, Math.max(0, y))) * width + Math.floor(Math.min(width - 1, Math.max(0, x)))] || 0;
 
     const angleRad = (angle * Math.PI) / 180;
     const cosA = Math.cos(angleRad);
     const sinA = Math.sin(angleRad);
     const diagonal = Math.sqrt(width * width + height * height);
 
-    // Generate seed points on a rotated grid
+    // Generate seed points on a rotated grid. Seeds are kept a little past the image,
+    // so the cells along its edges are closed by real neighbours.
     const points = [];
-    const gridSpacing = spacing * 1.5;
-    for (let yGrid = -diagonal / 2; yGrid < diagonal / 2; yGrid += gridSpacing) {
-      for (let xGrid = -diagonal / 2; xGrid < diagonal / 2; xGrid += gridSpacing) {
-        const jitterX = (this.seedRandom() - 0.5) * spacing * 0.5;
-        const jitterY = (this.seedRandom() - 0.5) * spacing * 0.5;
+    const gridSpacing = mode === 'cells' ? spacing * 1.5 : spacing * 0.75;
+    const jitter = ((config.randomness ?? 30) / 100) * gridSpacing;
+    const margin = 2 * gridSpacing;
+    for (let yGrid = -diagonal / 2 - margin; yGrid < diagonal / 2 + margin; yGrid += gridSpacing) {
+      for (let xGrid = -diagonal / 2 - margin; xGrid < diagonal / 2 + margin; xGrid += gridSpacing) {
+        const jitterX = (random() - 0.5) * jitter;
+        const jitterY = (random() - 0.5) * jitter;
+        const keep = random();
 
         const rotX = (xGrid + jitterX) * cosA - (yGrid + jitterY) * sinA + width / 2;
         const rotY = (xGrid + jitterX) * sinA + (yGrid + jitterY) * cosA + height / 2;
+        if (rotX < -margin || rotX > width + margin || rotY < -margin || rotY > height + margin) continue;
+        if (mode !== 'cells' && keep >= intensityAt(rotX, rotY)) continue;
         points.push({ x: rotX, y: rotY });
       }
     }
+    if (points.length < 3) return [];
+
+    const frame = { x: 0, y: 0, width, height };
+    const { triangles, onHull } = this.triangulate(points);
+    const circumcenters = triangles.map(([a, b, c]) => this.getCircumcenter(points[a], points[b], points[c]));
+    const shapes = [];
+    const lineWidth = renderStyle === 'stroke' ? strokeWidth : 1;
+    const addLine = (p, q) => {
+      PlotGeometry.clipPolylineToRect([p, q], false, frame).forEach(piece => shapes.push(PlotGeometry.polyline(piece, lineWidth)));
+    };
+
+    if (mode === 'delaunay') {
+      const drawn = new Set();
+      triangles.forEach(triangle => {
+        triangle.forEach((a, k) => {
+          const b = triangle[(k + 1) % 3];
+          const key = Math.min(a, b) * points.length + Math.max(a, b);
+          if (drawn.has(key)) return;
+          drawn.add(key);
+          addLine(points[a], points[b]);
+        });
+      });
+      return shapes;
+    }
+
+    if (mode === 'edges') {
+      // Every Delaunay edge shared by two triangles has the Voronoi edge between their circumcenters as its dual.
+      const firstTriangle = new Map();
+      triangles.forEach((triangle, t) => {
+        triangle.forEach((a, k) => {
+          const b = triangle[(k + 1) % 3];
+          const key = Math.min(a, b) * points.length + Math.max(a, b);
+          if (firstTriangle.has(key)) {
+            addLine(circumcenters[firstTriangle.get(key)], circumcenters[t]);
+          } else {
+            firstTriangle.set(key, t);
+          }
+        });
+      });
+      return shapes;
+    }
+
+    // The cell of a seed is formed by the circumcenters of its triangles, in angular order.
+    const cellCorners = points.map(() => []);
+    triangles.forEach((triangle, t) => triangle.forEach(vertex => cellCorners[vertex].push(circumcenters[t])));
+    cellCorners.forEach((corners, i) => {
+      // Cells on the hull of the triangulation are open; they lie outside the image.
+      if (onHull[i] || corners.length < 3) return;
+      const seed = points[i];
+      corners.sort((p, q) => Math.atan2(p.y - seed.y, p.x - seed.x) - Math.atan2(q.y - seed.y, q.x - seed.x));
+      const cell = PlotGeometry.clipPolygonToRect(corners, frame);
+      if (cell.length < 3) return;
+
+      const center = this.getCentroid(cell);
+      const intensity = intensityAt(center.x, center.y);
+      if (intensity > 0.05) {
+        // Scale by the square root, so the area of the shrunk cell is proportional to the intensity.
+        const scale = Math.sqrt(intensity);
+        const shrunk = cell.map(p => ({ x: center.x + (p.x - center.x) * scale, y: center.y + (p.y - center.y) * scale }));
+        shapes.push(PlotGeometry.polygon(shrunk, renderStyle === 'stroke' ? strokeWidth : null));
+      }
+    });
+    return shapes;
+  }
 
-    // For each point, create a polygonal cell based on local intensity
-    points.forEach(point => {
-      if (point.x >= 0 && point.x < width && point.y >= 0 && point.y < height) {
-        const pixelX = Math.floor(point.x);
-        const pixelY = Math.floor(point.y);
-        const idx = pixelY * width + pixelX;
-        const intensity = values[idx] || 0;
-
-        if (intensity > 0.05) {
-          const numSides = 6;
-          const baseRadius = dotSize * intensity;
-          let points_str = '';
-
-          // Create a distorted polygon shape
-          const pointCoords = [];
-          for (let i = 0; i < numSides; i++) {
-            const angle = (i / numSides) * Math.PI * 2;
-            const radiusVariation = 0.7 + this.seedRandom() * 0.6;
-            const radius = baseRadius * radiusVariation;
-            const x = point.x + Math.cos(angle) * radius;
-            const y = point.y + Math.sin(angle) * radius;
-            pointCoords.push({x, y});
-            points_str += `${x.toFixed(2)},${y.toFixed(2)} `;
+  /**
+   * Computes the Delaunay triangulation of a set of points with the Bowyer–Watson algorithm.
+   * Points are inserted in the given order; each one is located by walking from the last
+   * triangle created, which stays short when consecutive points are close, as on a grid.
+   * @param {Array<{x: number, y: number}>} points - The points to triangulate.
+   * @returns {{triangles: number[][], onHull: Uint8Array}} The triangles as counter-clockwise
+   * triples of point indices, and for each point whether it lies on the convex hull.
+   */
+  triangulate(points) {
+    const count = points.length;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(({ x, y }) => {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+    // A super-triangle that contains every point; its corners are removed at the end.
+    const size = Math.max(maxX - minX, maxY - minY, 1) * 20;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    const vertices = points.concat([
+      { x: midX - size, y: midY - size },
+      { x: midX + size, y: midY - size },
+      { x: midX, y: midY + size }
+    ]);
+
+    // Triangle t has the corners corners[3t..3t+2] in counter-clockwise order, and
+    // neighbours[3t + k] is the triangle across the edge from corner k to corner k + 1.
+    const corners = [count, count + 1, count + 2];
+    const neighbours = [-1, -1, -1];
+    const alive = [true];
+    const orient = (a, b, p) => (vertices[b].x - vertices[a].x) * (p.y - vertices[a].y) - (vertices[b].y - vertices[a].y) * (p.x - vertices[a].x);
+    const inCircumcircle = (t, p) => {
+      const [a, b, c] = [vertices[corners[3 * t]], vertices[corners[3 * t + 1]], vertices[corners[3 * t + 2]]];
+      const ax = a.x - p.x, ay = a.y - p.y;
+      const bx = b.x - p.x, by = b.y - p.y;
+      const cx = c.x - p.x, cy = c.y - p.y;
+      return (ax * ax + ay * ay) * (bx * cy - cx * by) - (bx * bx + by * by) * (ax * cy - cx * ay) + (cx * cx + cy * cy) * (ax * by - bx * ay) > 0;
+    };
+    let last = 0;
+
+    for (let i = 0; i < count; i++) {
+      const p = vertices[i];
+
+      // Walk towards the point until it is inside the current triangle.
+      let t = last;
+      for (let steps = 0; steps <= alive.length; steps++) {
+        let next = -1;
+        for (let k = 0; k < 3; k++) {
+          if (orient(corners[3 * t + k], corners[3 * t + (k + 1) % 3], p) < 0) {
+            next = neighbours[3 * t + k];
+            break;
           }
+        }
+        if (next === -1) break;
+        t = next;
+      }
 
-          // Draw the polygon on the canvas
-          ctx.beginPath();
-          ctx.moveTo(pointCoords[0].x, pointCoords[0].y);
-          for (let i = 1; i < pointCoords.length; i++) {
-            ctx.lineTo(pointCoords[i].x, pointCoords[i].y);
+      // The cavity: every triangle whose circumcircle contains the point, grown from the one containing it.
+      const cavity = [t];
+      const inCavity = new Set([t]);
+      for (let c = 0; c < cavity.length; c++) {
+        for (let k = 0; k < 3; k++) {
+          const neighbour = neighbours[3 * cavity[c] + k];
+          if (neighbour !== -1 && !inCavity.has(neighbour) && inCircumcircle(neighbour, p)) {
+            inCavity.add(neighbour);
+            cavity.push(neighbour);
           }
-          ctx.closePath();
+        }
+      }
 
-          if (renderStyle === 'stroke') {
-            ctx.lineWidth = strokeWidth;
-            ctx.stroke();
-            svg += `<polygon points="${points_str.trim()}" fill="none" stroke="currentColor" stroke-width="${strokeWidth.toFixed(2)}"/>`;
-          } else {
-            ctx.fill();
-            svg += `<polygon points="${points_str.trim()}"/>`;
+      // Connect the point to every edge on the cavity's boundary.
+      const byStart = new Map();
+      const byEnd = new Map();
+      cavity.forEach(bad => {
+        alive[bad] = false;
+        for (let k = 0; k < 3; k++) {
+          const outside = neighbours[3 * bad + k];
+          if (outside !== -1 && inCavity.has(outside)) continue;
+          const a = corners[3 * bad + k];
+          const b = corners[3 * bad + (k + 1) % 3];
+          const created = alive.length;
+          corners.push(a, b, i);
+          neighbours.push(outside, -1, -1);
+          alive.push(true);
+          if (outside !== -1) {
+            for (let m = 0; m < 3; m++) {
+              if (neighbours[3 * outside + m] === bad) neighbours[3 * outside + m] = created;
+            }
           }
+          byStart.set(a, created);
+          byEnd.set(b, created);
+          last = created;
         }
+      });
+      // The new triangles (a, b, p) are linked across their edges (b, p) and (p, a).
+      byStart.forEach((created, a) => {
+        neighbours[3 * created + 1] = byStart.get(corners[3 * created + 1]);
+        neighbours[3 * created + 2] = byEnd.get(a);
+      });
+    }
+
+    const triangles = [];
+    const onHull = new Uint8Array(count);
+    alive.forEach((isAlive, t) => {
+      if (!isAlive) return;
+      const triangle = [corners[3 * t], corners[3 * t + 1], corners[3 * t + 2]];
+      if (triangle.some(vertex => vertex >= count)) {
+        triangle.forEach(vertex => { if (vertex < count) onHull[vertex] = 1; });
+      } else {
+        triangles.push(triangle);
+      }
+    });
+    return { triangles, onHull };
+  }
+
+  /**
+   * Calculates the center of the circle through three points.
+   * @param {{x: number, y: number}} a - The first point.
+   * @param {{x: number, y: number}} b - The second point.
+   * @param {{x: number, y: number}} c - The third point.
+   * @returns {{x: number, y: number}} The circumcenter.
+   */
+  getCircumcenter(a, b, c) {
+    const bx = b.x - a.x, by = b.y - a.y;
+    const cx = c.x - a.x, cy = c.y - a.y;
+    const d = 2 * (bx * cy - by * cx);
+    const b2 = bx * bx + by * by;
+    const c2 = cx * cx + cy * cy;
+    return { x: a.x + (cy * b2 - by * c2) / d, y: a.y + (bx * c2 - cx * b2) / d };
+  }
+
+  /**
+   * Calculates the area centroid of a polygon.
+   * @param {Array<{x: number, y: number}>} points - The polygon's vertices.
+   * @returns {{x: number, y: number}} The centroid, or the vertex average for a degenerate polygon.
+   */
+  getCentroid(points) {
+    let area = 0, cx = 0, cy = 0;
+    points.forEach((p, i) => {
+      const q = points[(i + 1) % points.length];
+      const cross = p.x * q.y - q.x * p.y;
+      area += cross;
+      cx += (p.x + q.x) * cross;
+      cy += (p.y + q.y) * cross;
+    });
+    if (Math.abs(area) < 1e-9) {
+      return { x: points.reduce((sum, p) => sum + p.x, 0) / points.length, y: points.reduce((sum, p) => sum + p.y, 0) / points.length };
+    }
+    return { x: cx / (3 * area), y: cy / (3 * area) };
+  }
+
+  /**
+   * Generates a weighted Voronoi stipple (Secord, 2002). Points are seeded along the density
+   * field and then moved by Lloyd relaxation: every iteration assigns each sample of the field
+   * to its nearest point and moves the point to the density-weighted centroid of its cell.
+   * The relaxed points are evenly spread, without the clumps and grid artefacts of jittering.
+   * @param {number[]} values - An array of intensity values (0-1) for each pixel.
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - Configuration object.
+   * @param {number} config.dotSize - The base size of the dots.
+   * @param {number} config.spacing - The dot spacing at full intensity, which sets the number of dots.
+   * @param {number} [config.stippleIterations=15] - The number of Lloyd relaxation iterations.
+   * @param {boolean} [config.stippleDensityRadius=false] - Whether dots grow with the density of their cell.
+   * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
+   * @param {number} config.strokeWidth - The width of strokes if renderStyle is 'stroke'.
+   * @param {function(number): void} [onProgress] - Called with the fraction of iterations completed.
+   * @returns {object[]} The generated dots.
+   */
+  generateWeightedStipplePattern(values, width, height, config, onProgress = () => {}) {
+    const { dotSize, spacing, renderStyle, strokeWidth } = config;
+    const iterations = config.stippleIterations ?? 15;
+    const random = this.createSeededRandom(12345 + Math.round(config.angle || 0));
+
+    // Sample the density field on a grid fine enough for every cell to cover several samples,
+    // but coarse enough that a small spacing on a large image does not sample every pixel.
+    // Samples are kept in typed arrays, as there can still be a million of them.
+    const step = Math.max(1, Math.floor(spacing / 8), Math.ceil(Math.sqrt((width * height) / AdvancedPatterns.STIPPLE_MAX_SAMPLES)));
+    const sampleIndex = [];
+    for (let y = step / 2; y < height; y += step) {
+      for (let x = step / 2; x < width; x += step) {
+        const idx = Math.floor(y) * width + Math.floor(x);
+        if (values[idx] > 0) sampleIndex.push(idx);
       }
+    }
+    const sampleCount = sampleIndex.length;
+    const sampleX = new Float32Array(sampleCount);
+    const sampleY = new Float32Array(sampleCount);
+    const sampleWeight = new Float32Array(sampleCount);
+    let mass = 0;
+    sampleIndex.forEach((idx, i) => {
+      sampleX[i] = (idx % width) + 0.5;
+      sampleY[i] = Math.floor(idx / width) + 0.5;
+      sampleWeight[i] = values[idx];
+      mass += values[idx];
     });
 
-    return svg;
+    // One dot per (spacing / 2)² of full intensity, the same density as `generateStipplePattern`.
+    const count = Math.min(AdvancedPatterns.STIPPLE_MAX_POINTS, Math.round((mass * step * step * 4) / (spacing * spacing)));
+    if (count === 0) {
+      onProgress(1);
+      return [];
+    }
+
+    // Seed the points by walking the samples and placing a point whenever a dot's worth of mass has built up.
+    const xs = new Float64Array(count);
+    const ys = new Float64Array(count);
+    let placed = 0;
+    let accumulated = 0;
+    for (let i = 0; i < sampleCount && placed < count; i++) {
+      accumulated += sampleWeight[i] * count / mass;
+      while (accumulated >= 1 && placed < count) {
+        xs[placed] = sampleX[i] + (random() - 0.5) * step;
+        ys[placed] = sampleY[i] + (random() - 0.5) * step;
+        placed++;
+        accumulated -= 1;
+      }
+    }
+
+    const cellMass = new Float64Array(placed);
+    const cellArea = new Float64Array(placed);
+    for (let iteration = 0; iteration <= iterations; iteration++) {
+      const sumX = new Float64Array(placed);
+      const sumY = new Float64Array(placed);
+      cellMass.fill(0);
+      cellArea.fill(0);
+
+      const grid = this.buildSiteGrid(xs, ys, placed, width, height);
+      for (let i = 0; i < sampleCount; i++) {
+        const site = this.findNearestSite(grid, xs, ys, sampleX[i], sampleY[i]);
+        sumX[site] += sampleWeight[i] * sampleX[i];
+        sumY[site] += sampleWeight[i] * sampleY[i];
+        cellMass[site] += sampleWeight[i];
+        cellArea[site]++;
+      }
+
+      // The last pass only measures the cells; it does not move the points.
+      if (iteration === iterations) break;
+      for (let i = 0; i < placed; i++) {
+        if (cellMass[i] > 0) {
+          xs[i] = sumX[i] / cellMass[i];
+          ys[i] = sumY[i] / cellMass[i];
+        }
+      }
+      onProgress((iteration + 1) / iterations);
+    }
+    onProgress(1);
+
+    const shapes = [];
+    const outlineWidth = renderStyle === 'stroke' ? strokeWidth : null;
+    for (let i = 0; i < placed; i++) {
+      // A cell's density is the mean intensity of the samples it covers.
+      const density = cellArea[i] > 0 ? cellMass[i] / cellArea[i] : 0;
+      const radius = config.stippleDensityRadius ? (dotSize / 3) * Math.sqrt(density) : dotSize / 4;
+      if (radius > 0.3) {
+        shapes.push(PlotGeometry.circle(xs[i], ys[i], radius, outlineWidth));
+      }
+    }
+    return shapes;
+  }
+
+  /**
+   * Buckets points into a uniform grid with about one point per cell, for nearest-point lookups.
+   * @param {Float64Array} xs - The x-coordinates of the points.
+   * @param {Float64Array} ys - The y-coordinates of the points.
+   * @param {number} count - The number of points.
+   * @param {number} width - The width of the area.
+   * @param {number} height - The height of the area.
+   * @returns {{cellSize: number, cols: number, rows: number, start: Int32Array, items: Int32Array}}
+   * The grid: the points of cell k are `items[start[k]]` up to `items[start[k + 1]]`.
+   */
+  buildSiteGrid(xs, ys, count, width, height) {
+    const cellSize = Math.max(1, Math.sqrt((width * height) / count));
+    const cols = Math.ceil(width / cellSize) + 1;
+    const rows = Math.ceil(height / cellSize) + 1;
+    const cellOf = (i) => {
+      const col = Math.min(cols - 1, Math.max(0, Math.floor(xs[i] / cellSize)));
+      const row = Math.min(rows - 1, Math.max(0, Math.floor(ys[i] / cellSize)));
+      return row * cols + col;
+    };
+
+    // Counting sort: count the points per cell, turn the counts into offsets, then fill.
+    const start = new Int32Array(cols * rows + 1);
+    for (let i = 0; i < count; i++) start[cellOf(i) + 1]++;
+    for (let k = 0; k < cols * rows; k++) start[k + 1] += start[k];
+    const next = start.slice(0, cols * rows);
+    const items = new Int32Array(count);
+    for (let i = 0; i < count; i++) items[next[cellOf(i)]++] = i;
+
+    return { cellSize, cols, rows, start, items };
+  }
+
+  /**
+   * Finds the point closest to a position, searching the grid in growing rings of cells.
+   * @param {{cellSize: number, cols: number, rows: number, start: Int32Array, items: Int32Array}} grid - The grid from `buildSiteGrid`.
+   * @param {Float64Array} xs - The x-coordinates of the points.
+   * @param {Float64Array} ys - The y-coordinates of the points.
+   * @param {number} x - The x-coordinate of the position.
+   * @param {number} y - The y-coordinate of the position.
+   * @returns {number} The index of the closest point.
+   */
+  findNearestSite(grid, xs, ys, x, y) {
+    const { cellSize, cols, rows, start, items } = grid;
+    const col = Math.min(cols - 1, Math.max(0, Math.floor(x / cellSize)));
+    const row = Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+    let best = -1;
+    let bestDistance = Infinity;
+
+    for (let ring = 0; ring <= Math.max(cols, rows); ring++) {
+      // Points in this ring are at least (ring - 1) cells away, so stop once that exceeds the best match.
+      const reach = (ring - 1) * cellSize;
+      if (best !== -1 && reach > 0 && reach * reach > bestDistance) break;
+      for (let r = row - ring; r <= row + ring; r++) {
+        if (r < 0 || r >= rows) continue;
+        const onEdgeRow = r === row - ring || r === row + ring;
+        for (let c = col - ring; c <= col + ring; c += (onEdgeRow || ring === 0) ? 1 : 2 * ring) {
+          if (c < 0 || c >= cols) continue;
+          const cell = r * cols + c;
+          for (let k = start[cell]; k < start[cell + 1]; k++) {
+            const i = items[k];
+            const dx = xs[i] - x;
+            const dy = ys[i] - y;
+            const distance = dx * dx + dy * dy;
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              best = i;
+            }
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Generates a contour (isoline) pattern, treating the intensity as a height field. Iso-levels
+   * are traced with marching squares, then smoothed and simplified. Levels are spaced more
+   * closely toward full intensity, so dark regions get denser bands, like steep terrain on a map.
+   * @param {number[]} values - An array of intensity values (0-1) for each pixel.
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - Configuration object.
+   * @param {number} config.spacing - Sets the number of levels (fewer for larger spacing) and the sampling grid.
+   * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
+   * @param {number} config.strokeWidth - The width of strokes if renderStyle is 'stroke'.
+   * @returns {object[]} The contour lines: polygons where they close, polylines where they meet the edge.
+   */
+  generateContourPattern(values, width, height, config) {
+    const { spacing, renderStyle, strokeWidth } = config;
+    const lineWidth = renderStyle === 'stroke' ? strokeWidth : 1;
+    const step = Math.max(1, Math.round(spacing / 4));
+    const levelCount = Math.max(1, Math.round(120 / spacing));
+
+    // Sample a blurred copy of the field, so single pixels of noise do not become tiny rings.
+    const blurred = this.blurField(values, width, height, step);
+    const cols = Math.floor((width - 1) / step) + 1;
+    const rows = Math.floor((height - 1) / step) + 1;
+    const field = new Float32Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        field[row * cols + col] = blurred[row * step * width + col * step];
+      }
+    }
+
+    const shapes = [];
+    for (let k = 1; k <= levelCount; k++) {
+      const level = 1 - Math.pow(1 - k / (levelCount + 1), 2);
+      PlotGeometry.traceContours(field, cols, rows, level).forEach(({ points, closed }) => {
+        const scaled = points.map(p => ({ x: p.x * step, y: p.y * step }));
+        const smoothed = PlotGeometry.simplifyPolyline(PlotGeometry.smoothPolyline(scaled, closed), 0.25, closed);
+        if (closed && smoothed.length < 3) return;
+        shapes.push(closed ? PlotGeometry.polygon(smoothed, lineWidth) : PlotGeometry.polyline(smoothed, lineWidth));
+      });
+    }
+    return shapes;
+  }
+
+  /**
+   * Blurs a field with two passes of a separable box blur, which approximates a Gaussian.
+   * @param {number[]} values - The field values (0-1) for each pixel.
+   * @param {number} width - The width of the field.
+   * @param {number} height - The height of the field.
+   * @param {number} radius - The box radius in pixels.
+   * @returns {Float32Array} The blurred field.
+   */
+  blurField(values, width, height, radius) {
+    let current = Float32Array.from(values, v => v || 0);
+    if (radius < 1) return current;
+    const r = Math.round(radius);
+    for (let pass = 0; pass < 2; pass++) {
+      for (const horizontal of [true, false]) {
+        const next = new Float32Array(width * height);
+        const length = horizontal ? width : height;
+        const lines = horizontal ? height : width;
+        for (let line = 0; line < lines; line++) {
+          const at = (i) => horizontal ? line * width + i : i * width + line;
+          // A running sum over the window, with the edge values repeated past the ends.
+          let sum = 0;
+          for (let i = -r; i <= r; i++) sum += current[at(Math.min(length - 1, Math.max(0, i)))];
+          for (let i = 0; i < length; i++) {
+            next[at(i)] = sum / (2 * r + 1);
+            sum += current[at(Math.min(length - 1, i + r + 1))] - current[at(Math.max(0, i - r))];
+          }
+        }
+        current = next;
+      }
+    }
+    return current;
   }
 
   /**
    * Draws a set of concentric circles at a given coordinate.
    * The number of rings and max radius are determined by image intensity.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
    * @param {number} x - The center x-coordinate.
    * @param {number} y - The center y-coordinate.
    * @param {number} intensity - The local image intensity (0-1).
@@ -132,33 +582,28 @@ class AdvancedPatterns {
    * @param {number} config.dotSize - The base size for calculating max radius.
    * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
    * @param {number} config.strokeWidth - The width of strokes.
-   * @returns {string} An SVG string containing the generated circle elements.
+   * @returns {object[]} The generated ring outlines.
    */
-  drawConcentric(ctx, x, y, intensity, config) {
+  drawConcentric(x, y, intensity, config) {
     const { dotSize, renderStyle, strokeWidth } = config;
-    let svg = '';
+    const shapes = [];
     if (intensity > 0.1) {
       const maxRadius = dotSize * intensity;
       const numRings = Math.floor(intensity * 4) + 1;
       const calculatedStrokeWidth = Math.max(0.5, maxRadius / numRings * 0.3);
       const finalStrokeWidth = renderStyle === 'stroke' ? strokeWidth : calculatedStrokeWidth;
-      ctx.lineWidth = finalStrokeWidth;
 
       for (let ring = 0; ring < numRings; ring++) {
         const radius = (maxRadius / numRings) * (ring + 1);
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.stroke();
-        svg += `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${radius.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${finalStrokeWidth.toFixed(2)}"/>`;
+        shapes.push(PlotGeometry.circle(x, y, radius, finalStrokeWidth));
       }
     }
-    return svg;
+    return shapes;
   }
 
   /**
    * Draws a spiral at a given coordinate.
    * The tightness and size of the spiral are determined by image intensity.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
    * @param {number} x - The center x-coordinate.
    * @param {number} y - The center y-coordinate.
    * @param {number} intensity - The local image intensity (0-1).
@@ -166,45 +611,33 @@ class AdvancedPatterns {
    * @param {number} config.dotSize - The base size for calculating max radius.
    * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
    * @param {number} config.strokeWidth - The width of strokes.
-   * @returns {string} An SVG string containing the generated path element.
+   * @returns {object|null} The spiral polyline, or null for light areas.
    */
-  drawSpiral(ctx, x, y, intensity, config) {
+  drawSpiral(x, y, intensity, config) {
     const { dotSize, renderStyle, strokeWidth } = config;
     if (intensity > 0.1) {
       const maxRadius = dotSize * intensity;
       const turns = intensity * 3 + 1;
       const points = Math.floor(turns * 20);
-      let pathData = '';
+      const spiral = [];
 
-      ctx.beginPath();
       for (let i = 0; i <= points; i++) {
         const t = i / points;
         const angle = t * turns * Math.PI * 2;
         const radius = t * maxRadius;
-        const spiralX = x + Math.cos(angle) * radius;
-        const spiralY = y + Math.sin(angle) * radius;
-        if (i === 0) {
-          pathData += `M${spiralX.toFixed(2)},${spiralY.toFixed(2)}`;
-          ctx.moveTo(spiralX, spiralY);
-        } else {
-          pathData += `L${spiralX.toFixed(2)},${spiralY.toFixed(2)}`;
-          ctx.lineTo(spiralX, spiralY);
-        }
+        spiral.push({ x: x + Math.cos(angle) * radius, y: y + Math.sin(angle) * radius });
       }
 
       const calculatedLineWidth = Math.max(1, intensity * 2);
       const finalLineWidth = renderStyle === 'stroke' ? strokeWidth : calculatedLineWidth;
-      ctx.lineWidth = finalLineWidth;
-      ctx.stroke();
-      return `<path d="${pathData}" fill="none" stroke="currentColor" stroke-width="${finalLineWidth.toFixed(2)}"/>`;
+      return PlotGeometry.polyline(spiral, finalLineWidth);
     }
-    return '';
+    return null;
   }
 
   /**
    * Draws a hexagon at a given coordinate.
    * The size of the hexagon is determined by image intensity.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
    * @param {number} x - The center x-coordinate.
    * @param {number} y - The center y-coordinate.
    * @param {number} intensity - The local image intensity (0-1).
@@ -212,44 +645,27 @@ class AdvancedPatterns {
    * @param {number} config.dotSize - The base size for calculating hexagon size.
    * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
    * @param {number} config.strokeWidth - The width of strokes.
-   * @returns {string} An SVG string containing the generated polygon element.
+   * @returns {object|null} The hexagon polygon, or null for light areas.
    */
-  drawHexagon(ctx, x, y, intensity, config) {
+  drawHexagon(x, y, intensity, config) {
     const { dotSize, renderStyle, strokeWidth } = config;
     if (intensity > 0.05) {
       const hexSize = dotSize * intensity;
-      let hexPoints = '';
+      const hexPoints = [];
 
-      ctx.beginPath();
       for (let i = 0; i < 6; i++) {
         const angle = (i / 6) * Math.PI * 2;
-        const hx = x + Math.cos(angle) * hexSize;
-        const hy = y + Math.sin(angle) * hexSize;
-        hexPoints += `${hx.toFixed(2)},${hy.toFixed(2)} `;
-        if (i === 0) {
-          ctx.moveTo(hx, hy);
-        } else {
-          ctx.lineTo(hx, hy);
-        }
+        hexPoints.push({ x: x + Math.cos(angle) * hexSize, y: y + Math.sin(angle) * hexSize });
       }
-      ctx.closePath();
 
-      if (renderStyle === 'stroke') {
-        ctx.lineWidth = strokeWidth;
-        ctx.stroke();
-        return `<polygon points="${hexPoints.trim()}" fill="none" stroke="currentColor" stroke-width="${strokeWidth.toFixed(2)}"/>`;
-      } else {
-        ctx.fill();
-        return `<polygon points="${hexPoints.trim()}"/>`;
-      }
+      return PlotGeometry.polygon(hexPoints, renderStyle === 'stroke' ? strokeWidth : null);
     }
-    return '';
+    return null;
   }
 
   /**
    * Draws a dot displaced by a sine wave.
    * The displacement creates a flowing, wavy pattern across the image.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
    * @param {number} x - The original x-coordinate.
    * @param {number} y - The original y-coordinate.
    * @param {number} intensity - The local image intensity (0-1).
@@ -259,9 +675,9 @@ class AdvancedPatterns {
    * @param {number} config.spacing - The spacing that determines the wave length.
    * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
    * @param {number} config.strokeWidth - The width of strokes.
-   * @returns {string} An SVG string containing the generated circle element.
+   * @returns {object|null} The displaced dot, or null for light areas.
    */
-  drawWave(ctx, x, y, intensity, config) {
+  drawWave(x, y, intensity, config) {
     const { dotSize, lineAngle, spacing, renderStyle, strokeWidth } = config;
     if (intensity > 0.1) {
       const waveLength = spacing * 4;
@@ -274,25 +690,14 @@ class AdvancedPatterns {
       const dispY = y + displacement * Math.cos(angleRad);
       const dotRadius = Math.max(1, dotSize * intensity * 0.3);
 
-      ctx.beginPath();
-      ctx.arc(dispX, dispY, dotRadius, 0, Math.PI * 2);
-
-      if (renderStyle === 'stroke') {
-        ctx.lineWidth = strokeWidth;
-        ctx.stroke();
-        return `<circle cx="${dispX.toFixed(2)}" cy="${dispY.toFixed(2)}" r="${dotRadius.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${strokeWidth.toFixed(2)}"/>`;
-      } else {
-        ctx.fill();
-        return `<circle cx="${dispX.toFixed(2)}" cy="${dispY.toFixed(2)}" r="${dotRadius.toFixed(2)}"/>`;
-      }
+      return PlotGeometry.circle(dispX, dispY, dotRadius, renderStyle === 'stroke' ? strokeWidth : null);
     }
-    return '';
+    return null;
   }
 
   /**
    * Draws a short line segment oriented along the image's intensity gradient.
    * This creates a "flow field" or "vector field" effect.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
    * @param {number} x - The starting x-coordinate.
    * @param {number} y - The starting y-coordinate.
    * @param {number} intensity - The local image intensity (0-1).
@@ -302,13 +707,13 @@ class AdvancedPatterns {
    * @param {number} config.strokeWidth - The width of strokes.
    * @param {object[]} gradients - Pre-calculated gradient vectors for the image.
    * @param {number} width - The width of the canvas (for indexing).
-   * @returns {string} An SVG string containing the generated line and circle elements.
+   * @returns {object[]|null} The line and its start dot, or null where there is no gradient.
    */
-  drawFlowField(ctx, x, y, intensity, config, gradients, width) {
+  drawFlowField(x, y, intensity, config, gradients, width) {
     const { dotSize, renderStyle, strokeWidth } = config;
     if (intensity > 0.1 && gradients) {
       const idx = Math.floor(y) * width + Math.floor(x);
-      if (!gradients[idx]) return '';
+      if (!gradients[idx]) return null;
 
       const gradient = gradients[idx];
       const flowLength = dotSize * intensity * 2;
@@ -317,23 +722,146 @@ class AdvancedPatterns {
       const calculatedLineWidth = Math.max(0.5, intensity * dotSize * 0.3);
       const finalLineWidth = renderStyle === 'stroke' ? strokeWidth : calculatedLineWidth;
 
-      // Draw line
-      ctx.lineWidth = finalLineWidth;
-      ctx.beginPath();
-      ctx.moveTo(x, y);
-      ctx.lineTo(endX, endY);
-      ctx.stroke();
-
-      // Draw a small circle at the start point for better visibility
-      ctx.beginPath();
-      ctx.arc(x, y, finalLineWidth, 0, Math.PI * 2);
-      ctx.fill(); // Always fill the start point for this effect
-
-      let lineSVG = `<line x1="${x.toFixed(2)}" y1="${y.toFixed(2)}" x2="${endX.toFixed(2)}" y2="${endY.toFixed(2)}" stroke-width="${finalLineWidth.toFixed(2)}" stroke="currentColor"/>`;
-      let circleSVG = `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${finalLineWidth.toFixed(2)}"/>`;
-      return lineSVG + circleSVG;
+      return [
+        PlotGeometry.polyline([{ x, y }, { x: endX, y: endY }], finalLineWidth),
+        // A small dot at the start point for better visibility. It is always filled for this effect.
+        PlotGeometry.circle(x, y, finalLineWidth)
+      ];
+    }
+    return null;
+  }
+
+  /**
+   * Generates evenly spaced streamlines through the gradient field (Jobard & Lefer, 1997).
+   * Each streamline is integrated in both directions from a seed until it leaves the image,
+   * reaches a light area or comes too close to another line; new seeds are placed beside
+   * the finished lines. The separation shrinks with intensity, so dark areas get denser lines.
+   * Where the field is flat, lines follow the screen angle.
+   * @param {number[]} values - An array of intensity values (0-1) for each pixel.
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - Configuration object.
+   * @param {number} config.spacing - Twice the line separation at full intensity.
+   * @param {number} config.angle - The direction of the lines where the field is flat.
+   * @param {number} [config.flowBlur=2] - The blur radius applied before the gradient is taken, in pixels.
+   * @param {boolean} [config.flowPerpendicular=false] - Whether lines run across the gradient, along the tones.
+   * @param {string} config.renderStyle - The rendering style ('fill' or 'stroke').
+   * @param {number} config.strokeWidth - The width of strokes if renderStyle is 'stroke'.
+   * @returns {object[]} One polyline per streamline.
+   */
+  generateStreamlinePattern(values, width, height, config) {
+    const { spacing, angle, renderStyle, strokeWidth } = config;
+    const lineWidth = renderStyle === 'stroke' ? strokeWidth : 1;
+    const field = this.blurField(values, width, height, config.flowBlur ?? 2);
+    const gradients = this.calculateGradientField(field, width, height);
+    const angleRad = ((angle || 0) * Math.PI) / 180;
+    const flat = { x: Math.cos(angleRad), y: Math.sin(angleRad) };
+    const minIntensity = 0.05;
+    const step = Math.max(0.5, spacing / 8);
+    const maxSteps = Math.ceil((2 * (width + height)) / step);
+
+    const inside = (p) => p.x >= 0 && p.x < width && p.y >= 0 && p.y < height;
+    const intensityAt = (p) => field[Math.floor(p.y) * width + Math.floor(p.x)];
+    const separationAt = (p) => (spacing / 2) / Math.max(0.1, intensityAt(p));
+    // The field has no sign that matters, so each direction is flipped to continue the previous one.
+    const directionAt = (p, previous) => {
+      const gradient = gradients[Math.floor(p.y) * width + Math.floor(p.x)];
+      let direction = gradient && (gradient.x !== 0 || gradient.y !== 0) ? gradient : flat;
+      if (config.flowPerpendicular && direction !== flat) direction = { x: -direction.y, y: direction.x };
+      return direction.x * previous.x + direction.y * previous.y < 0 ? { x: -direction.x, y: -direction.y } : direction;
+    };
+
+    // A grid over the points of the finished lines, for distance tests.
+    const cellSize = spacing / 2;
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const grid = new Array(cols * rows);
+    const isFree = (p, radius, cells, ignore) => {
+      const reach = Math.ceil(radius / cellSize);
+      const col = Math.floor(p.x / cellSize);
+      const row = Math.floor(p.y / cellSize);
+      for (let r = Math.max(0, row - reach); r <= Math.min(rows - 1, row + reach); r++) {
+        for (let c = Math.max(0, col - reach); c <= Math.min(cols - 1, col + reach); c++) {
+          const cell = cells[r * cols + c];
+          if (!cell) continue;
+          for (const q of cell) {
+            if ((q.x - p.x) ** 2 + (q.y - p.y) ** 2 < radius * radius && !(ignore && ignore(q))) return false;
+          }
+        }
+      }
+      return true;
+    };
+    const insert = (cells, p) => {
+      const key = Math.floor(p.y / cellSize) * cols + Math.floor(p.x / cellSize);
+      (cells[key] || (cells[key] = [])).push(p);
+    };
+
+    const traceStreamline = (seed) => {
+      const own = new Array(cols * rows);
+      const halves = [1, -1].map(sign => {
+        const points = [];
+        let p = seed;
+        let previous = directionAt(seed, flat);
+        previous = { x: previous.x * sign, y: previous.y * sign };
+        for (let i = 1; i <= maxSteps; i++) {
+          // Midpoint (second-order Runge–Kutta) integration.
+          const d1 = directionAt(p, previous);
+          const mid = { x: p.x + (d1.x * step) / 2, y: p.y + (d1.y * step) / 2 };
+          if (!inside(mid)) break;
+          const d2 = directionAt(mid, d1);
+          const next = { x: p.x + d2.x * step, y: p.y + d2.y * step, s: sign * i * step };
+          if (!inside(next) || intensityAt(next) < minIntensity) break;
+
+          // Stop near other lines, and near this line's own points that are far back along it.
+          const test = separationAt(next) / 2;
+          if (!isFree(next, test, grid)) break;
+          if (!isFree(next, test, own, q => Math.abs(q.s - next.s) < 3 * test)) break;
+          points.push(next);
+          insert(own, next);
+          previous = d2;
+          p = next;
+        }
+        return points;
+      });
+      return halves[1].reverse().concat([{ ...seed, s: 0 }], halves[0]);
+    };
+
+    const shapes = [];
+    const queue = [];
+    const tryStreamline = (seed) => {
+      if (!inside(seed) || intensityAt(seed) < minIntensity || !isFree(seed, separationAt(seed), grid)) return;
+      const points = traceStreamline(seed);
+      let length = 0;
+      for (let i = 1; i < points.length; i++) length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+      if (length < spacing) return;
+      points.forEach(p => insert(grid, p));
+      queue.push(points);
+      shapes.push(PlotGeometry.polyline(PlotGeometry.simplifyPolyline(points.map(({ x, y }) => ({ x, y })), 0.1), lineWidth));
+    };
+
+    // Seed beside every finished line first; scan a coarse grid for regions the lines have not reached.
+    const seedBeside = () => {
+      while (queue.length > 0) {
+        const points = queue.shift();
+        for (let i = 1; i < points.length; i++) {
+          const a = points[i - 1];
+          const b = points[i];
+          const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+          const separation = separationAt(b);
+          [1, -1].forEach(side => tryStreamline({
+            x: b.x - (side * (b.y - a.y) / length) * separation,
+            y: b.y + (side * (b.x - a.x) / length) * separation
+          }));
+        }
+      }
+    };
+    for (let y = spacing / 2; y < height; y += spacing) {
+      for (let x = spacing / 2; x < width; x += spacing) {
+        tryStreamline({ x, y });
+        seedBeside();
+      }
     }
-    return '';
+    return shapes;
   }
 
   /**
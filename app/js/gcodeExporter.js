@@ -0,0 +1,155 @@
+/**
+ * @file Generates G-code for GRBL-style pen plotters from the halftone output.
+ * Each channel becomes a sequence of rapid pen-up travel moves and pen-down drawing moves,
+ * and the combined file pauses between layers so the pen can be changed.
+ */
+
+/**
+ * A class that converts the per-channel geometry held by an `SVGExporter`
+ * into G-code programs and offers them for download.
+ */
+class GCodeExporter {
+  /**
+   * Initializes the GCodeExporter.
+   * @param {SVGExporter} svgExporter - The exporter holding the generated geometry and paper settings.
+   */
+  constructor(svgExporter) {
+    /**
+     * The SVG exporter that provides channel geometry and paper fitting.
+     * @type {SVGExporter}
+     */
+    this.svgExporter = svgExporter;
+
+    /**
+     * Default G-code settings, used for any value missing from `config.gcode`.
+     * Rates are in units per minute, given in millimetres. Pen-up travel uses rapid moves that
+     * carry the travel rate, for firmware that honours a feed rate on G0; GRBL moves at its own maximum.
+     * @type {{feedRate: number, travelRate: number, penUp: string, penDown: string, origin: string}}
+     */
+    this.defaults = {
+      feedRate: 1500,
+      travelRate: 3000,
+      penUp: 'M5',
+      penDown: 'M3 S90',
+      origin: 'bottom-left'
+    };
+  }
+
+  /**
+   * Generates a G-code program for a channel or for all channels combined.
+   * @param {string} channel - The channel name, or 'combined'.
+   * @param {object} config - The application configuration, including `paperSize` and `gcode` settings.
+   * @param {{layers: object[], transform: object}|null} [plot] - The pen paths to write; by default
+   * the channel's whole page from `SVGExporter.getPlotLayers`.
+   * @returns {string|null} The G-code program, or null if there is no data for the channel.
+   */
+  generateGCode(channel, config, plot = this.svgExporter.getPlotLayers(channel, config)) {
+    if (!plot) return null;
+
+    const settings = { ...this.defaults, ...config.gcode };
+    // A blank pen command would leave the pen where it is, so fall back to the default.
+    ['penUp', 'penDown'].forEach(key => {
+      settings[key] = String(settings[key] ?? '').trim() || this.defaults[key];
+    });
+    const { layers, transform } = plot;
+    const inches = transform.unit === 'in';
+    const precision = inches ? 4 : 3;
+    // Rates are entered in mm/min; convert them when the program runs in inches.
+    const feedRate = inches ? settings.feedRate / 25.4 : settings.feedRate;
+    const travelRate = inches ? settings.travelRate / 25.4 : settings.travelRate;
+    const feed = feedRate.toFixed(inches ? 2 : 0);
+    const travel = travelRate.toFixed(inches ? 2 : 0);
+
+    const toMachine = (p) => this.toMachineCoordinates(p, transform, settings.origin);
+    const move = (p) => `X${p.x.toFixed(precision)} Y${p.y.toFixed(precision)}`;
+    const home = toMachine({ x: 0, y: 0 });
+
+    const lines = [];
+    lines.push('; Halftone Plotter G-code');
+    lines.push(`; Channels: ${layers.map(layer => layer.channel).join(', ')}`);
+    lines.push(`; Page: ${transform.pageWidth.toFixed(2)} x ${transform.pageHeight.toFixed(2)} ${transform.unit}, origin: ${settings.origin}`);
+    lines.push(`; Generated: ${new Date().toISOString()}`);
+    lines.push(inches ? 'G20 ; units: inches' : 'G21 ; units: millimetres');
+    lines.push('G90 ; absolute positioning');
+    lines.push(settings.penUp);
+
+    layers.forEach((layer, index) => {
+      if (index > 0) {
+        // Park at the origin and wait for the operator to swap pens.
+        lines.push(settings.penUp);
+        lines.push(`G0 ${move(home)} F${travel}`);
+        lines.push(`; --- Pen change: ${layer.channel} ---`);
+        lines.push(`M0 ; load the ${layer.channel} pen, then resume`);
+      }
+      lines.push(`; Layer: ${layer.channel} (${layer.polylines.length} paths)`);
+
+      layer.polylines.forEach(polyline => {
+        const points = polyline.points.map(toMachine);
+        lines.push(`G0 ${move(points[0])} F${travel}`);
+        lines.push(settings.penDown);
+        lines.push(`G1 ${move(points[1])} F${feed}`);
+        for (let i = 2; i < points.length; i++) {
+          lines.push(`G1 ${move(points[i])}`);
+        }
+        if (polyline.closed) {
+          lines.push(`G1 ${move(points[0])}`);
+        }
+        lines.push(settings.penUp);
+      });
+    });
+
+    lines.push(`G0 ${move(home)} F${travel}`);
+    lines.push('M2 ; end of program');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Converts a point from page coordinates (y pointing down) to machine coordinates.
+   * @param {{x: number, y: number}} point - The point in page units.
+   * @param {{pageWidth: number, pageHeight: number}} transform - The physical transform holding the page size.
+   * @param {string} origin - Where the machine origin sits: 'bottom-left', 'top-left' or 'center'.
+   * @returns {{x: number, y: number}} The point in machine coordinates (y pointing up).
+   */
+  toMachineCoordinates(point, transform, origin) {
+    switch (origin) {
+      case 'top-left':
+        return { x: point.x, y: -point.y };
+      case 'center':
+        return { x: point.x - transform.pageWidth / 2, y: transform.pageHeight / 2 - point.y };
+      case 'bottom-left':
+      default:
+        return { x: point.x, y: transform.pageHeight - point.y };
+    }
+  }
+
+  /**
+   * Triggers the download of a G-code file for a specified channel.
+   * @param {string} channel - The channel name to download, or 'combined'.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadGCode(channel, config = {}) {
+    const gcode = this.generateGCode(channel, config);
+    if (!gcode) {
+      console.error(`No plot data found for channel: ${channel}`);
+      return;
+    }
+    this.svgExporter.downloadFile(gcode, `halftone-${channel}-${new Date().getTime()}.gcode`, 'text/plain');
+  }
+
+  /**
+   * Downloads one G-code file per channel followed by the combined file.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadAllChannels(config = {}) {
+    const channels = this.svgExporter.getChannels('combined', config);
+    let delay = 0;
+    channels.forEach(channel => {
+      setTimeout(() => this.downloadGCode(channel, config), delay);
+      delay += 500; // Stagger downloads to prevent browser blocking.
+    });
+    setTimeout(() => this.downloadGCode('combined', config), delay);
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.GCodeExporter = GCodeExporter;
@@ -10,6 +10,52 @@
  * grid rotation logic, ensuring consistent behavior across all grid-based patterns.
  */
 class HalftonePatterns {
+  /**
+   * The maximum number of points in a TSP art tour.
+   * @type {number}
+   */
+  static TSP_MAX_POINTS = 30000;
+
+  /**
+   * The line screens, which draw one dash per grid cell. Merging bridges the gaps between
+   * their dashes up to the spacing, so each screen line plots as one run.
+   * @type {string[]}
+   */
+  static DASHED_PATTERNS = ['line', 'crosshatch'];
+
+  /**
+   * The default character ramp of the text pattern, from light to dark by the ink in each Hershey glyph.
+   * @type {string}
+   */
+  static GLYPH_RAMP = ' .:-=+oe8B#@';
+
+  /**
+   * Error-diffusion kernels: where the quantization error of a cell goes, as [dx, dy, weight]
+   * offsets for left-to-right scanning, and the divisor of the weights. Atkinson deliberately
+   * diffuses only three quarters of the error, which keeps highlights and shadows crisp.
+   * @type {Object<string, {divisor: number, weights: number[][]}>}
+   */
+  static DITHER_KERNELS = {
+    'floyd-steinberg': { divisor: 16, weights: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+    atkinson: { divisor: 8, weights: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] },
+    'jarvis-judice-ninke': {
+      divisor: 48,
+      weights: [
+        [1, 0, 7], [2, 0, 5],
+        [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+        [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+      ]
+    },
+    stucki: {
+      divisor: 42,
+      weights: [
+        [1, 0, 8], [2, 0, 4],
+        [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+        [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+      ]
+    }
+  };
+
   /**
    * Initializes the HalftonePatterns class and its dependency, AdvancedPatterns.
    */
@@ -19,37 +65,48 @@ class HalftonePatterns {
      * @type {AdvancedPatterns}
      */
     this.advancedPatterns = new AdvancedPatterns();
+
+    /**
+     * An instance of the PlotterFills class for turning filled shapes into pen strokes.
+     * @type {PlotterFills}
+     */
+    this.plotterFills = new PlotterFills();
+
+    /**
+     * An instance of the LineMerger class for joining line segments into continuous runs.
+     * @type {LineMerger}
+     */
+    this.lineMerger = new LineMerger();
+
+    /**
+     * An instance of the PathOptimizer class for putting the pen paths in drawing order.
+     * @type {PathOptimizer}
+     */
+    this.pathOptimizer = new PathOptimizer();
   }
 
   /**
-   * A powerful helper function that applies a core drawing function to a rotated grid.
+   * A powerful helper function that applies a core shape function to a rotated grid.
    * This centralizes the logic for calculating rotated coordinates over a grid,
    * which is used by most classic and some advanced patterns.
-   * @param {CanvasRenderingContext2D} ctx - The canvas context to draw on.
    * @param {number[]} values - The array of image intensity values (0-1) for each pixel.
    * @param {number} width - The canvas width.
    * @param {number} height - The canvas height.
    * @param {object} config - The processing configuration object.
    * @param {number} config.angle - The rotation angle for the grid in degrees.
    * @param {number} config.spacing - The spacing between grid points in pixels.
-   * @param {function(CanvasRenderingContext2D, number, number, number, object): string} coreDrawFn - The specific function to call for each point on the grid. It's responsible for drawing one shape and returning its SVG representation.
-   * @returns {string} The aggregated SVG content for all drawn elements.
+   * @param {function(number, number, number, object): (object|object[]|null)} coreDrawFn - The specific function to call for each point on the grid. It returns the shape (or shapes) for that point, or null.
+   * @returns {object[]} The shapes for all grid points.
    */
-  applyRotatedGrid(ctx, values, width, height, config, coreDrawFn) {
-    let svg = '';
-    const { angle, spacing } = config;
-
-    const angleRad = (angle * Math.PI) / 180;
-    const cosA = Math.cos(angleRad);
-    const sinA = Math.sin(angleRad);
-    // The diagonal is used to ensure the rotated grid covers the entire canvas.
-    const diagonal = Math.sqrt(width * width + height * height);
+  applyRotatedGrid(values, width, height, config, coreDrawFn) {
+    const shapes = [];
+    const { spacing } = config;
+    const { diagonal, toCanvas } = this.getGridTransform(width, height, config.angle);
 
     for (let yGrid = -diagonal / 2; yGrid < diagonal / 2; yGrid += spacing) {
       for (let xGrid = -diagonal / 2; xGrid < diagonal / 2; xGrid += spacing) {
         // Rotate the grid point's coordinates to find its position on the canvas.
-        const rotX = xGrid * cosA - yGrid * sinA + width / 2;
-        const rotY = xGrid * sinA + yGrid * cosA + height / 2;
+        const { x: rotX, y: rotY } = toCanvas(xGrid, yGrid);
 
         // Only draw if the rotated point is within the canvas bounds.
         if (rotX >= 0 && rotX < width && rotY >= 0 && rotY < height) {
@@ -58,19 +115,44 @@ class HalftonePatterns {
           const idx = pixelY * width + pixelX;
           const intensity = values[idx] || 0;
 
-          const elementSvg = coreDrawFn(ctx, rotX, rotY, intensity, config);
-          if (elementSvg) {
-            svg += elementSvg;
+          const result = coreDrawFn(rotX, rotY, intensity, config);
+          if (Array.isArray(result)) {
+            shapes.push(...result);
+          } else if (result) {
+            shapes.push(result);
           }
         }
       }
     }
-    return svg;
+    return shapes;
+  }
+
+  /**
+   * Describes the rotated grid used by the grid-based patterns. Grid coordinates are centered
+   * on the canvas, and the grid spans the canvas diagonal so that it covers the canvas at any angle.
+   * @param {number} width - The canvas width.
+   * @param {number} height - The canvas height.
+   * @param {number} angle - The rotation angle of the grid in degrees.
+   * @returns {{cosA: number, sinA: number, diagonal: number, toCanvas: function(number, number): {x: number, y: number}}}
+   * The rotation, the extent of the grid and a function mapping grid coordinates to the canvas.
+   */
+  getGridTransform(width, height, angle) {
+    const angleRad = (angle * Math.PI) / 180;
+    const cosA = Math.cos(angleRad);
+    const sinA = Math.sin(angleRad);
+    // The diagonal is used to ensure the rotated grid covers the entire canvas.
+    const diagonal = Math.sqrt(width * width + height * height);
+    const toCanvas = (xGrid, yGrid) => ({
+      x: xGrid * cosA - yGrid * sinA + width / 2,
+      y: xGrid * sinA + yGrid * cosA + height / 2
+    });
+    return { cosA, sinA, diagonal, toCanvas };
   }
 
   /**
-   * The main pattern generation function. It sets up the canvas and dispatches
-   * to the appropriate pattern-specific method based on the `type`.
+   * The main pattern generation function. It dispatches to the appropriate
+   * pattern-specific method based on the `type`, applies the plotter post-processing
+   * and draws the resulting shapes onto the canvas as the preview.
    * @param {string} type - The type of pattern to generate (e.g., 'circle', 'voronoi').
    * @param {string} channel - The color channel being processed (e.g., 'cyan').
    * @param {number[]} values - The array of image intensity values.
@@ -78,99 +160,169 @@ class HalftonePatterns {
    * @param {number} height - The canvas height.
    * @param {object} config - The configuration object for the pattern.
    * @param {HTMLCanvasElement} canvas - The canvas element to draw on.
-   * @returns {string} The complete SVG string for the generated channel pattern.
+   * @param {function(number): void} [onProgress] - Called with the fraction completed by long-running patterns.
+   * @returns {{width: number, height: number, color: string, physical: object|null, shapes: object[], travel: object|null}}
+   * The channel geometry: its shapes in image pixels, with the size and color they belong to. With
+   * `config.optimizePaths` the shapes are in drawing order and `travel` holds the pen-up travel before
+   * and after ordering (see `orderShapes`); otherwise they keep the generator's order and `travel` is null.
    */
-  generatePattern(type, channel, values, width, height, config, canvas) {
-    const ctx = canvas.getContext('2d');
-    canvas.width = width;
-    canvas.height = height;
-
-    const color = config.color;
-    ctx.fillStyle = color;
-    ctx.strokeStyle = color;
-    ctx.clearRect(0, 0, width, height);
-
-    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
-    svg += `<rect width="100%" height="100%" fill="white"/>`;
-    svg += `<g fill="${color}" stroke="${color}">`;
-
+  generatePattern(type, channel, values, width, height, config, canvas, onProgress = () => {}) {
+    let shapes = [];
     switch (type) {
       case 'circle':
-        svg += this.generateCirclePattern(ctx, values, width, height, config);
+        shapes = this.generateCirclePattern(values, width, height, config);
         break;
       case 'square':
-        svg += this.generateSquarePattern(ctx, values, width, height, config);
+        shapes = this.generateSquarePattern(values, width, height, config);
         break;
       case 'diamond':
-        svg += this.generateDiamondPattern(ctx, values, width, height, config);
+        shapes = this.generateDiamondPattern(values, width, height, config);
         break;
       case 'concentric':
-        svg += this.applyRotatedGrid(ctx, values, width, height, config, this.advancedPatterns.drawConcentric.bind(this.advancedPatterns));
+        shapes = this.applyRotatedGrid(values, width, height, config, this.advancedPatterns.drawConcentric.bind(this.advancedPatterns));
         break;
       case 'spiral':
-        svg += this.applyRotatedGrid(ctx, values, width, height, config, this.advancedPatterns.drawSpiral.bind(this.advancedPatterns));
+        shapes = this.applyRotatedGrid(values, width, height, config, this.advancedPatterns.drawSpiral.bind(this.advancedPatterns));
         break;
       case 'hexagonal':
-        svg += this.applyRotatedGrid(ctx, values, width, height, config, this.advancedPatterns.drawHexagon.bind(this.advancedPatterns));
+        shapes = this.applyRotatedGrid(values, width, height, config, this.advancedPatterns.drawHexagon.bind(this.advancedPatterns));
         break;
       case 'wave':
-        svg += this.applyRotatedGrid(ctx, values, width, height, config, this.advancedPatterns.drawWave.bind(this.advancedPatterns));
+        shapes = this.applyRotatedGrid(values, width, height, config, this.advancedPatterns.drawWave.bind(this.advancedPatterns));
         break;
       case 'flowfield':
+        if (config.flowMode === 'streamlines') {
+          shapes = this.advancedPatterns.generateStreamlinePattern(values, width, height, config);
+          break;
+        }
         const gradients = this.advancedPatterns.calculateGradientField(values, width, height);
-        const drawFnWithGradients = (ctx, x, y, intensity, cfg) => this.advancedPatterns.drawFlowField(ctx, x, y, intensity, cfg, gradients, width);
-        svg += this.applyRotatedGrid(ctx, values, width, height, config, drawFnWithGradients);
+        const drawFnWithGradients = (x, y, intensity, cfg) => this.advancedPatterns.drawFlowField(x, y, intensity, cfg, gradients, width);
+        shapes = this.applyRotatedGrid(values, width, height, config, drawFnWithGradients);
         break;
       case 'voronoi':
-        svg += this.advancedPatterns.generateVoronoiPattern(ctx, values, width, height, config);
+        shapes = this.advancedPatterns.generateVoronoiPattern(values, width, height, config);
+        break;
+      case 'contour':
+        shapes = this.advancedPatterns.generateContourPattern(values, width, height, config);
+        break;
+      case 'weightedStipple':
+        shapes = this.advancedPatterns.generateWeightedStipplePattern(values, width, height, config, onProgress);
         break;
       case 'line':
-        svg += this.generateLinePattern(ctx, values, width, height, config);
+        shapes = this.generateLinePattern(values, width, height, config);
         break;
       case 'crosshatch':
-        svg += this.generateCrosshatchPattern(ctx, values, width, height, config);
+        shapes = this.generateCrosshatchPattern(values, width, height, config);
         break;
       case 'stochastic':
-        svg += this.generateStochasticPattern(ctx, values, width, height, config);
+        shapes = this.generateStochasticPattern(values, width, height, config);
         break;
       case 'stipple':
-        svg += this.generateStipplePattern(ctx, values, width, height, config);
+        shapes = this.generateStipplePattern(values, width, height, config);
+        break;
+      case 'dither':
+        shapes = this.generateDitherPattern(values, width, height, config);
+        break;
+      case 'ordered':
+        shapes = this.generateOrderedDitherPattern(values, width, height, config);
+        break;
+      case 'squiggle':
+        shapes = this.generateSquigglePattern(values, width, height, config);
+        break;
+      case 'spiralLine':
+        shapes = this.generateSpiralLinePattern(values, width, height, config);
+        break;
+      case 'text':
+        shapes = this.generateTextPattern(values, width, height, config);
+        break;
+      case 'tsp':
+        shapes = this.generateTSPPattern(values, width, height, config, onProgress);
         break;
       default:
-        svg += this.generateCirclePattern(ctx, values, width, height, config);
+        shapes = this.generateCirclePattern(values, width, height, config);
+    }
+
+    // Generators only test the grid point, so shapes along the edges reach past the frame.
+    if (config.clipping && config.clipping.mode !== 'none') {
+      const frame = this.getClipFrame(width, height, config.clipping.inset);
+      shapes = PlotGeometry.clipShapes(shapes, frame, config.clipping.mode === 'drop');
+    }
+
+    // Plotters cannot fill shapes, so replace fills with pen strokes when a fill strategy is chosen.
+    if (config.renderStyle === 'fill' && config.fillStrategy && config.fillStrategy !== 'solid') {
+      shapes = this.plotterFills.applyFillStrategy(shapes, config);
     }
 
-    svg += '</g></svg>';
-    return svg;
+    // Join short line segments so the pen does not lift at every grid cell.
+    if (config.mergeLines) {
+      const bridge = HalftonePatterns.DASHED_PATTERNS.includes(type) ? config.spacing : config.mergeTolerance;
+      shapes = this.lineMerger.mergeLines(shapes, config.mergeTolerance, bridge);
+    }
+
+    // Order the pen paths here, off the UI thread. Exports, knockout and tile sheets keep this order.
+    let travel = null;
+    if (config.optimizePaths) {
+      ({ shapes, travel } = this.orderShapes(shapes));
+    }
+
+    // The preview is drawn from the final shapes, so it shows exactly what is exported.
+    const ctx = canvas.getContext('2d');
+    canvas.width = width;
+    canvas.height = height;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = config.color;
+    ctx.strokeStyle = config.color;
+    shapes.forEach(shape => PlotGeometry.drawShape(ctx, shape));
+
+    return { width, height, color: config.color, physical: config.physical || null, shapes, travel };
+  }
+
+  /**
+   * Puts shapes in the drawing order found by `PathOptimizer`, reversing open paths where that
+   * saves travel. Shapes that draw nothing (e.g. zero-radius circles) go last.
+   * @param {object[]} shapes - The shapes in generator order.
+   * @returns {{shapes: object[], travel: {before: number, after: number}}} The reordered shapes,
+   * and the pen-up travel in image pixels before and after ordering.
+   */
+  orderShapes(shapes) {
+    const drawable = [];
+    const polylines = [];
+    const empty = [];
+    shapes.forEach(shape => {
+      const [polyline] = PlotGeometry.shapeToPolylines(shape);
+      if (!polyline) {
+        empty.push(shape);
+        return;
+      }
+      drawable.push(shape);
+      polylines.push(polyline);
+    });
+
+    const { order, reversed, before, after } = this.pathOptimizer.optimize(polylines);
+    const ordered = order.map(index => {
+      const shape = drawable[index];
+      return reversed[index] && !polylines[index].closed ? { ...shape, points: shape.points.slice().reverse() } : shape;
+    });
+    return { shapes: ordered.concat(empty), travel: { before, after } };
   }
 
   /**
    * Generates a classic circular dot halftone pattern.
    * Each point on the grid is rendered as a circle whose radius is proportional to the image intensity.
    * This method uses the `applyRotatedGrid` helper.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated circles.
+   * @returns {object[]} The generated circles.
    */
-  generateCirclePattern(ctx, values, width, height, config) {
-    return this.applyRotatedGrid(ctx, values, width, height, config, (ctx, x, y, intensity, config) => {
+  generateCirclePattern(values, width, height, config) {
+    return this.applyRotatedGrid(values, width, height, config, (x, y, intensity, config) => {
       const radius = (config.dotSize / 2) * intensity;
       if (radius > 0.5) {
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        if (config.renderStyle === 'stroke') {
-          ctx.lineWidth = config.strokeWidth;
-          ctx.stroke();
-          return `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${radius.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${config.strokeWidth.toFixed(2)}"/>`;
-        } else {
-          ctx.fill();
-          return `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${radius.toFixed(2)}"/>`;
-        }
+        return PlotGeometry.circle(x, y, radius, config.renderStyle === 'stroke' ? config.strokeWidth : null);
       }
-      return '';
+      return null;
     });
   }
 
@@ -178,28 +330,24 @@ class HalftonePatterns {
    * Generates a square dot halftone pattern.
    * Each point on the grid is rendered as a square whose size is proportional to the image intensity.
    * This method uses the `applyRotatedGrid` helper.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated squares.
+   * @returns {object[]} The generated squares.
    */
-  generateSquarePattern(ctx, values, width, height, config) {
-    return this.applyRotatedGrid(ctx, values, width, height, config, (ctx, x, y, intensity, config) => {
+  generateSquarePattern(values, width, height, config) {
+    return this.applyRotatedGrid(values, width, height, config, (x, y, intensity, config) => {
       const size = config.dotSize * intensity;
       if (size > 0.5) {
         const half = size / 2;
-        if (config.renderStyle === 'stroke') {
-          ctx.lineWidth = config.strokeWidth;
-          ctx.strokeRect(x - half, y - half, size, size);
-          return `<rect x="${(x - half).toFixed(2)}" y="${(y - half).toFixed(2)}" width="${size.toFixed(2)}" height="${size.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${config.strokeWidth.toFixed(2)}"/>`;
-        } else {
-          ctx.fillRect(x - half, y - half, size, size);
-          return `<rect x="${(x - half).toFixed(2)}" y="${(y - half).toFixed(2)}" width="${size.toFixed(2)}" height="${size.toFixed(2)}"/>`;
-        }
+        const corners = [
+          { x: x - half, y: y - half }, { x: x + half, y: y - half },
+          { x: x + half, y: y + half }, { x: x - half, y: y + half }
+        ];
+        return PlotGeometry.polygon(corners, config.renderStyle === 'stroke' ? config.strokeWidth : null);
       }
-      return '';
+      return null;
     });
   }
 
@@ -207,54 +355,39 @@ class HalftonePatterns {
    * Generates a diamond-shaped dot halftone pattern.
    * Each point on the grid is rendered as a square rotated by 45 degrees.
    * This method uses the `applyRotatedGrid` helper.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated diamonds.
+   * @returns {object[]} The generated diamonds.
    */
-  generateDiamondPattern(ctx, values, width, height, config) {
-    return this.applyRotatedGrid(ctx, values, width, height, config, (ctx, x, y, intensity, config) => {
+  generateDiamondPattern(values, width, height, config) {
+    return this.applyRotatedGrid(values, width, height, config, (x, y, intensity, config) => {
       const size = config.dotSize * intensity;
       if (size > 0.5) {
-        const half = size / 2;
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.rotate(Math.PI / 4);
-
-        const svgX = (-half).toFixed(2);
-        const svgY = (-half).toFixed(2);
-        const svgSize = size.toFixed(2);
-        let svgTransform = `transform="rotate(45 ${x.toFixed(2)} ${y.toFixed(2)})"`;
-
-        if (config.renderStyle === 'stroke') {
-          ctx.lineWidth = config.strokeWidth;
-          ctx.strokeRect(-half, -half, size, size);
-          ctx.restore();
-          return `<rect x="${svgX}" y="${svgY}" width="${svgSize}" height="${svgSize}" fill="none" stroke="currentColor" stroke-width="${config.strokeWidth.toFixed(2)}" ${svgTransform}/>`;
-        } else {
-          ctx.fillRect(-half, -half, size, size);
-          ctx.restore();
-          return `<rect x="${svgX}" y="${svgY}" width="${svgSize}" height="${svgSize}" ${svgTransform}/>`;
-        }
+        // A square of side `size` rotated by 45 degrees has its corners on the axes.
+        const reach = size / Math.SQRT2;
+        const corners = [
+          { x, y: y - reach }, { x: x + reach, y },
+          { x, y: y + reach }, { x: x - reach, y }
+        ];
+        return PlotGeometry.polygon(corners, config.renderStyle === 'stroke' ? config.strokeWidth : null);
       }
-      return '';
+      return null;
     });
   }
 
   /**
    * Generates a line screen pattern.
    * This pattern uses its own grid logic to handle two separate angles: the grid angle and the line angle.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated lines.
+   * @returns {object[]} The generated line segments.
    */
-  generateLinePattern(ctx, values, width, height, config) {
-    let svg = '';
+  generateLinePattern(values, width, height, config) {
+    const shapes = [];
     const { dotSize, spacing, angle, lineAngle, renderStyle, strokeWidth } = config;
     const angleRad = (angle * Math.PI) / 180;
     const lineAngleRad = (lineAngle * Math.PI) / 180;
@@ -276,33 +409,26 @@ class HalftonePatterns {
             const dx = Math.cos(lineAngleRad) * lineLength / 2;
             const dy = Math.sin(lineAngleRad) * lineLength / 2;
 
-            ctx.lineWidth = finalLineWidth;
-            ctx.beginPath();
-            ctx.moveTo(rotX - dx, rotY - dy);
-            ctx.lineTo(rotX + dx, rotY + dy);
-            ctx.stroke();
-            svg += `<line x1="${(rotX - dx).toFixed(2)}" y1="${(rotY - dy).toFixed(2)}" x2="${(rotX + dx).toFixed(2)}" y2="${(rotY + dy).toFixed(2)}" stroke-width="${finalLineWidth.toFixed(2)}" stroke="currentColor"/>`;
+            shapes.push(PlotGeometry.polyline([{ x: rotX - dx, y: rotY - dy }, { x: rotX + dx, y: rotY + dy }], finalLineWidth));
           }
         }
       }
     }
-    return svg;
+    return shapes;
   }
 
   /**
    * Generates a crosshatch pattern.
    * In dark areas, it draws two perpendicular sets of lines. In lighter areas, only one.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated lines.
+   * @returns {object[]} The generated line segments.
    */
-  generateCrosshatchPattern(ctx, values, width, height, config) {
-    let svg = '';
+  generateCrosshatchPattern(values, width, height, config) {
+    const shapes = [];
     const { spacing, angle, renderStyle, strokeWidth } = config;
-    ctx.lineWidth = renderStyle === 'stroke' ? strokeWidth : 1;
     const finalStrokeWidth = renderStyle === 'stroke' ? strokeWidth : 1;
 
     for (let y = 0; y < height; y += spacing) {
@@ -321,42 +447,34 @@ class HalftonePatterns {
 
             const dx1 = Math.cos(angle1Rad) * lineLength / 2;
             const dy1 = Math.sin(angle1Rad) * lineLength / 2;
-            ctx.beginPath();
-            ctx.moveTo(x - dx1 + offset, y - dy1);
-            ctx.lineTo(x + dx1 + offset, y + dy1);
-            ctx.stroke();
-            svg += `<line x1="${(x - dx1 + offset).toFixed(2)}" y1="${(y - dy1).toFixed(2)}" x2="${(x + dx1 + offset).toFixed(2)}" y2="${(y + dy1).toFixed(2)}" stroke-width="${finalStrokeWidth}"/>`;
+            shapes.push(PlotGeometry.polyline([{ x: x - dx1 + offset, y: y - dy1 }, { x: x + dx1 + offset, y: y + dy1 }], finalStrokeWidth));
 
             if (intensity > 0.5) {
               const dx2 = Math.cos(angle2Rad) * lineLength / 2;
               const dy2 = Math.sin(angle2Rad) * lineLength / 2;
-              ctx.beginPath();
-              ctx.moveTo(x - dx2, y - dy2 - offset);
-              ctx.lineTo(x + dx2, y + dy2 - offset);
-              ctx.stroke();
-              svg += `<line x1="${(x - dx2).toFixed(2)}" y1="${(y - dy2 - offset).toFixed(2)}" x2="${(x + dx2).toFixed(2)}" y2="${(y + dy2 - offset).toFixed(2)}" stroke-width="${finalStrokeWidth}"/>`;
+              shapes.push(PlotGeometry.polyline([{ x: x - dx2, y: y - dy2 - offset }, { x: x + dx2, y: y + dy2 - offset }], finalStrokeWidth));
             }
           }
         }
       }
     }
-    return svg;
+    return shapes;
   }
 
   /**
    * Generates a stochastic (randomized) dot pattern.
    * Dots are placed randomly, with the probability of a dot appearing being higher in darker areas.
    * This logic was reverted to match the original implementation for functional parity.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated circles.
+   * @returns {object[]} The generated circles.
    */
-  generateStochasticPattern(ctx, values, width, height, config) {
+  generateStochasticPattern(values, width, height, config) {
     const { dotSize, spacing, randomness, renderStyle, strokeWidth } = config;
-    let svg = '';
+    const outlineWidth = renderStyle === 'stroke' ? strokeWidth : null;
+    const shapes = [];
     let seed = 12345;
     const random = () => {
       seed = (seed * 9301 + 49297) % 233280;
@@ -374,36 +492,27 @@ class HalftonePatterns {
           const intensity = values[idx] || 0;
           if (random() < intensity) {
             const radius = dotSize / 4 + (random() * dotSize / 4);
-            ctx.beginPath();
-            ctx.arc(randomX, randomY, radius, 0, Math.PI * 2);
-            if (renderStyle === 'stroke') {
-              ctx.lineWidth = strokeWidth;
-              ctx.stroke();
-              svg += `<circle cx="${randomX.toFixed(2)}" cy="${randomY.toFixed(2)}" r="${radius.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${strokeWidth.toFixed(2)}"/>`;
-            } else {
-              ctx.fill();
-              svg += `<circle cx="${randomX.toFixed(2)}" cy="${randomY.toFixed(2)}" r="${radius.toFixed(2)}"/>`;
-            }
+            shapes.push(PlotGeometry.circle(randomX, randomY, radius, outlineWidth));
           }
         }
       }
     }
-    return svg;
+    return shapes;
   }
 
   /**
    * Generates a stipple pattern, another form of random dot distribution.
    * This implementation adds a second, smaller set of dots in darker areas to increase density.
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
    * @param {number[]} values - The array of image intensity values (0-1).
    * @param {number} width - The width of the canvas.
    * @param {number} height - The height of the canvas.
    * @param {object} config - The processing configuration object.
-   * @returns {string} The aggregated SVG content for the generated circles.
+   * @returns {object[]} The generated circles.
    */
-  generateStipplePattern(ctx, values, width, height, config) {
+  generateStipplePattern(values, width, height, config) {
     const { dotSize, spacing, renderStyle, strokeWidth } = config;
-    let svg = '';
+    const outlineWidth = renderStyle === 'stroke' ? strokeWidth : null;
+    const shapes = [];
     const stippleSpacing = spacing / 2;
     for (let y = 0; y < height; y += stippleSpacing) {
       for (let x = 0; x < width; x += stippleSpacing) {
@@ -415,16 +524,7 @@ class HalftonePatterns {
           const offsetY = (Math.random() - 0.5) * stippleSpacing / 2;
           const dotX = x + offsetX;
           const dotY = y + offsetY;
-          ctx.beginPath();
-          ctx.arc(dotX, dotY, radius, 0, Math.PI * 2);
-          if (renderStyle === 'stroke') {
-            ctx.lineWidth = strokeWidth;
-            ctx.stroke();
-            svg += `<circle cx="${dotX.toFixed(2)}" cy="${dotY.toFixed(2)}" r="${radius.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${strokeWidth.toFixed(2)}"/>`;
-          } else {
-            ctx.fill();
-            svg += `<circle cx="${dotX.toFixed(2)}" cy="${dotY.toFixed(2)}" r="${radius.toFixed(2)}"/>`;
-          }
+          shapes.push(PlotGeometry.circle(dotX, dotY, radius, outlineWidth));
         }
         if (intensity > 0.3 && Math.random() < intensity * 0.5) {
           const smallRadius = dotSize / 12;
@@ -433,21 +533,446 @@ class HalftonePatterns {
           const smallDotX = x + offsetX;
           const smallDotY = y + offsetY;
           if (smallDotX >= 0 && smallDotX < width && smallDotY >= 0 && smallDotY < height) {
-            ctx.beginPath();
-            ctx.arc(smallDotX, smallDotY, smallRadius, 0, Math.PI * 2);
-            if (renderStyle === 'stroke') {
-              ctx.lineWidth = strokeWidth;
-              ctx.stroke();
-              svg += `<circle cx="${smallDotX.toFixed(2)}" cy="${smallDotY.toFixed(2)}" r="${smallRadius.toFixed(2)}" fill="none" stroke="currentColor" stroke-width="${strokeWidth.toFixed(2)}"/>`;
-            } else {
-              ctx.fill();
-              svg += `<circle cx="${smallDotX.toFixed(2)}" cy="${smallDotY.toFixed(2)}" r="${smallRadius.toFixed(2)}"/>`;
-            }
+            shapes.push(PlotGeometry.circle(smallDotX, smallDotY, smallRadius, outlineWidth));
           }
         }
       }
     }
-    return svg;
+    return shapes;
+  }
+
+  /**
+   * Generates an error-diffusion dither. The channel is averaged down to a grid of `spacing`-sized
+   * cells, each cell is switched on or off, and the rounding error is pushed on to the cells not
+   * yet visited. Every cell that is on gets a fixed-size mark at the centre of its covered area.
+   * The grid turns with the screen angle, so the marks of a separation do not pile up.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - The processing configuration object.
+   * @param {string} [config.ditherAlgorithm='floyd-steinberg'] - A key of `HalftonePatterns.DITHER_KERNELS`.
+   * @param {boolean} [config.ditherSerpentine=false] - Whether every other row is scanned right to left.
+   * @param {string} [config.ditherMark='dot'] - The mark drawn per cell: 'dot' or 'dash' (along the screen angle).
+   * @returns {object[]} The generated dots or dashes.
+   */
+  generateDitherPattern(values, width, height, config) {
+    const { dotSize, spacing, angle, renderStyle, strokeWidth } = config;
+    const kernel = HalftonePatterns.DITHER_KERNELS[config.ditherAlgorithm] || HalftonePatterns.DITHER_KERNELS['floyd-steinberg'];
+    const grid = this.getGridTransform(width, height, angle || 0);
+    const { cols, rows, cells, centers } = this.downsample(values, width, height, spacing, grid);
+
+    const shapes = [];
+    const dx = grid.cosA * spacing * 0.4;
+    const dy = grid.sinA * spacing * 0.4;
+    const addMark = (cell) => {
+      const x = centers[cell * 2];
+      const y = centers[cell * 2 + 1];
+      if (config.ditherMark === 'dash') {
+        const dashWidth = renderStyle === 'stroke' ? strokeWidth : dotSize / 3;
+        shapes.push(PlotGeometry.polyline([{ x: x - dx, y: y - dy }, { x: x + dx, y: y + dy }], dashWidth));
+      } else {
+        shapes.push(PlotGeometry.circle(x, y, dotSize / 2, renderStyle === 'stroke' ? strokeWidth : null));
+      }
+    };
+
+    for (let row = 0; row < rows; row++) {
+      // Serpentine scanning runs odd rows backwards, mirroring the kernel, to avoid directional artefacts.
+      const reverse = config.ditherSerpentine && row % 2 === 1;
+      for (let i = 0; i < cols; i++) {
+        const col = reverse ? cols - 1 - i : i;
+        const cell = row * cols + col;
+        // Cells of the rotated grid that fall outside the canvas cover no pixels.
+        if (Number.isNaN(centers[cell * 2])) continue;
+        const value = cells[cell];
+        const on = value >= 0.5;
+        if (on) addMark(cell);
+
+        const error = value - (on ? 1 : 0);
+        kernel.weights.forEach(([offsetX, offsetY, weight]) => {
+          const targetCol = col + (reverse ? -offsetX : offsetX);
+          const targetRow = row + offsetY;
+          if (targetCol >= 0 && targetCol < cols && targetRow < rows) {
+            cells[targetRow * cols + targetCol] += (error * weight) / kernel.divisor;
+          }
+        });
+      }
+    }
+    return shapes;
+  }
+
+  /**
+   * Generates an ordered dither: every cell of the rotated grid is compared with the matching
+   * entry of a tiled threshold matrix and gets a fixed-size mark when its intensity is higher.
+   * The matrix turns with the grid, so the channels of a separation do not line up.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - The processing configuration object.
+   * @param {string} [config.orderedMatrix='bayer4'] - 'bayer2', 'bayer4', 'bayer8', 'clustered' or 'blue-noise'.
+   * @param {{width: number, height: number, thresholds: number[]}} [config.orderedMask] - The loaded blue-noise mask.
+   * @param {string} [config.orderedMark='dot'] - The mark drawn per cell: 'dot' or 'square'.
+   * @returns {object[]} The generated dots or squares.
+   */
+  generateOrderedDitherPattern(values, width, height, config) {
+    const { dotSize, spacing, renderStyle, strokeWidth } = config;
+    const matrix = this.getThresholdMatrix(config.orderedMatrix, config.orderedMask);
+    const { cosA, sinA, diagonal, toCanvas } = this.getGridTransform(width, height, config.angle);
+    const outlineWidth = renderStyle === 'stroke' ? strokeWidth : null;
+    const half = dotSize / 2;
+    // The corners of a square mark, turned with the grid.
+    const corners = [[-half, -half], [half, -half], [half, half], [-half, half]]
+      .map(([u, v]) => ({ x: u * cosA - v * sinA, y: u * sinA + v * cosA }));
+
+    const shapes = [];
+    const steps = Math.ceil(diagonal / spacing);
+    for (let row = 0; row < steps; row++) {
+      for (let col = 0; col < steps; col++) {
+        const { x, y } = toCanvas(-diagonal / 2 + col * spacing, -diagonal / 2 + row * spacing);
+        if (x < 0 || x >= width || y < 0 || y >= height) continue;
+
+        const intensity = values[Math.floor(y) * width + Math.floor(x)] || 0;
+        if (intensity <= matrix.thresholds[(row % matrix.height) * matrix.width + (col % matrix.width)]) continue;
+        if (config.orderedMark === 'square') {
+          shapes.push(PlotGeometry.polygon(corners.map(corner => ({ x: x + corner.x, y: y + corner.y })), outlineWidth));
+        } else {
+          shapes.push(PlotGeometry.circle(x, y, half, outlineWidth));
+        }
+      }
+    }
+    return shapes;
+  }
+
+  /**
+   * Builds the threshold matrix for ordered dithering. Thresholds are evenly spread between
+   * 0 and 1 in the order of the matrix's ranks.
+   * @param {string} type - 'bayer2', 'bayer4', 'bayer8', 'clustered' or 'blue-noise'.
+   * @param {{width: number, height: number, thresholds: number[]}} [mask] - The blue-noise mask,
+   * already normalized. Without it, 'blue-noise' falls back to Bayer 8×8.
+   * @returns {{width: number, height: number, thresholds: number[]}} The matrix, in row-major order.
+   */
+  getThresholdMatrix(type, mask) {
+    if (type === 'blue-noise' && mask) return mask;
+
+    let ranks;
+    if (type === 'clustered') {
+      ranks = this.getClusteredDotRanks(6);
+    } else {
+      ranks = this.getBayerRanks({ bayer2: 2, bayer8: 8 }[type] || (type === 'blue-noise' ? 8 : 4));
+    }
+    const size = ranks.length;
+    const thresholds = [];
+    ranks.forEach(row => row.forEach(rank => thresholds.push((rank + 0.5) / (size * size))));
+    return { width: size, height: size, thresholds };
+  }
+
+  /**
+   * Builds a Bayer (dispersed-dot) matrix by recursive subdivision.
+   * @param {number} size - The matrix size, a power of two.
+   * @returns {number[][]} The ranks 0 to size² - 1, by row.
+   */
+  getBayerRanks(size) {
+    if (size <= 1) return [[0]];
+    const half = size / 2;
+    const inner = this.getBayerRanks(half);
+    const offsets = [[0, 2], [3, 1]];
+    return Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) =>
+      4 * inner[y % half][x % half] + offsets[Math.floor(y / half)][Math.floor(x / half)]));
+  }
+
+  /**
+   * Builds a clustered-dot matrix: cells are ranked by their distance from the middle of the
+   * matrix, so the dots grow outwards from the center like a conventional halftone dot.
+   * @param {number} size - The matrix size.
+   * @returns {number[][]} The ranks 0 to size² - 1, by row.
+   */
+  getClusteredDotRanks(size) {
+    const middle = (size - 1) / 2;
+    const cells = [];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        cells.push({ x, y, distance: Math.hypot(x - middle, y - middle), angle: Math.atan2(y - middle, x - middle) });
+      }
+    }
+    // Break ties by angle, so equally distant cells are taken in a spiral.
+    cells.sort((a, b) => a.distance - b.distance || a.angle - b.angle);
+    const ranks = Array.from({ length: size }, () => new Array(size));
+    cells.forEach((cell, rank) => { ranks[cell.y][cell.x] = rank; });
+    return ranks;
+  }
+
+  /**
+   * Averages the intensity values over a grid of square cells, turned with the given grid.
+   * Cells along the edges only cover part of a square, so each cell also reports the centre
+   * of the pixels it covers.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {number} cellSize - The cell size in pixels.
+   * @param {object} grid - The grid, as returned by `getGridTransform`.
+   * @returns {{cols: number, rows: number, cells: Float32Array, centers: Float64Array}} The grid, with
+   * the cells in row-major order and the x, y centre of every cell (NaN for cells off the canvas).
+   */
+  downsample(values, width, height, cellSize, grid) {
+    const { cosA, sinA } = grid;
+    // The canvas corners, in grid coordinates, bound the cells that can cover a pixel.
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => ({
+      u: (x - width / 2) * cosA + (y - height / 2) * sinA,
+      v: -(x - width / 2) * sinA + (y - height / 2) * cosA
+    }));
+    const minU = Math.min(...corners.map(corner => corner.u));
+    const minV = Math.min(...corners.map(corner => corner.v));
+    const cols = Math.max(1, Math.ceil((Math.max(...corners.map(corner => corner.u)) - minU) / cellSize));
+    const rows = Math.max(1, Math.ceil((Math.max(...corners.map(corner => corner.v)) - minV) / cellSize));
+
+    const cells = new Float32Array(cols * rows);
+    const centers = new Float64Array(cols * rows * 2);
+    const counts = new Uint32Array(cols * rows);
+    for (let y = 0; y < height; y++) {
+      const offsetY = y + 0.5 - height / 2;
+      for (let x = 0; x < width; x++) {
+        const offsetX = x + 0.5 - width / 2;
+        const col = Math.min(cols - 1, Math.floor((offsetX * cosA + offsetY * sinA - minU) / cellSize));
+        const row = Math.min(rows - 1, Math.floor((-offsetX * sinA + offsetY * cosA - minV) / cellSize));
+        const cell = row * cols + col;
+        cells[cell] += values[y * width + x] || 0;
+        centers[cell * 2] += x + 0.5;
+        centers[cell * 2 + 1] += y + 0.5;
+        counts[cell]++;
+      }
+    }
+    counts.forEach((count, i) => {
+      cells[i] = count > 0 ? cells[i] / count : 0;
+      centers[i * 2] = count > 0 ? centers[i * 2] / count : NaN;
+      centers[i * 2 + 1] = count > 0 ? centers[i * 2 + 1] / count : NaN;
+    });
+    return { cols, rows, cells, centers };
+  }
+
+  /**
+   * Generates a squiggle pattern: every scanline of the rotated grid is a single wavy line,
+   * whose amplitude and frequency grow with the intensity, so a whole row plots without a pen lift.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - The processing configuration object.
+   * @param {number} [config.squiggleSmoothing=50] - How strongly the intensity is smoothed along the line, in percent.
+   * @returns {object[]} One polyline per scanline.
+   */
+  generateSquigglePattern(values, width, height, config) {
+    const { dotSize, spacing, renderStyle, strokeWidth } = config;
+    const { cosA, sinA, diagonal, toCanvas } = this.getGridTransform(width, height, config.angle);
+    const lineWidth = renderStyle === 'stroke' ? strokeWidth : 1;
+    const maxAmplitude = Math.min(dotSize, spacing) / 2;
+    // Sample finely enough for several points per wave at the highest frequency.
+    const step = Math.max(0.25, spacing / 16);
+    const smoothing = Math.max(0, config.squiggleSmoothing ?? 50) / 100 * spacing * 2;
+    const shapes = [];
+
+    for (let yGrid = -diagonal / 2 + spacing / 2; yGrid < diagonal / 2; yGrid += spacing) {
+      // Collect the part of the scanline that lies on the canvas.
+      const line = [];
+      for (let xGrid = -diagonal / 2; xGrid < diagonal / 2; xGrid += step) {
+        const { x, y } = toCanvas(xGrid, yGrid);
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          line.push({ x, y, intensity: values[Math.floor(y) * width + Math.floor(x)] || 0 });
+        } else if (line.length > 0) {
+          break;
+        }
+      }
+      if (line.length < 2) continue;
+
+      // Smooth forwards and backwards, so transitions are soft without shifting along the line.
+      if (smoothing > 0) {
+        const alpha = 1 - Math.exp(-step / smoothing);
+        for (let i = 1; i < line.length; i++) line[i].intensity += (line[i - 1].intensity - line[i].intensity) * (1 - alpha);
+        for (let i = line.length - 2; i >= 0; i--) line[i].intensity += (line[i + 1].intensity - line[i].intensity) * (1 - alpha);
+      }
+
+      // The wave is displaced across the scanline; its wavelength shrinks from two spacings to half of one.
+      let phase = 0;
+      const points = line.map(({ x, y, intensity }) => {
+        phase += (2 * Math.PI * step * (0.5 + 1.5 * intensity)) / spacing;
+        const offset = maxAmplitude * intensity * Math.sin(phase);
+        // Keep the wave on the canvas, so clipping does not break the line up along the edges.
+        return {
+          x: Math.min(width, Math.max(0, x - sinA * offset)),
+          y: Math.min(height, Math.max(0, y + cosA * offset))
+        };
+      });
+      shapes.push(PlotGeometry.polyline(points, lineWidth));
+    }
+    return shapes;
+  }
+
+  /**
+   * Generates a single Archimedean spiral across the whole image, one turn per spacing.
+   * The intensity under the path sets either the width of the line, drawn as a ribbon,
+   * or the amplitude of a sine wiggle across it. Each channel's spiral is turned by its
+   * screen angle, so the arms of the channels sit beside each other instead of on top.
+   * The spiral runs out to the farthest corner; the usual clipping cuts the arcs that leave the image.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - The processing configuration object.
+   * @param {number} [config.spiralCenterX=50] - The horizontal position of the center, in percent of the width.
+   * @param {number} [config.spiralCenterY=50] - The vertical position of the center, in percent of the height.
+   * @param {string} [config.spiralModulation='thickness'] - 'thickness' or 'wiggle'.
+   * @returns {object[]} The spiral as one polygon (thickness) or one polyline (wiggle).
+   */
+  generateSpiralLinePattern(values, width, height, config) {
+    const { dotSize, spacing, renderStyle, strokeWidth } = config;
+    const cx = (width * (config.spiralCenterX ?? 50)) / 100;
+    const cy = (height * (config.spiralCenterY ?? 50)) / 100;
+    const rotation = ((config.angle || 0) * Math.PI) / 180;
+    const maxWidth = Math.min(dotSize, spacing);
+    // The wiggle needs several points per wave; the ribbon only needs short, nearly straight pieces.
+    const step = config.spiralModulation === 'wiggle' ? Math.max(0.25, spacing / 16) : Math.max(0.5, spacing / 4);
+    const maxRadius = Math.max(...[[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => Math.hypot(x - cx, y - cy)));
+    const intensityAt = (x, y) => (x >= 0 && x < width && y >= 0 && y < height ? values[Math.floor(y) * width + Math.floor(x)] || 0 : 0);
+
+    // Walk the spiral in steps of roughly equal length; r = spacing * theta / 2π.
+    const samples = [];
+    let theta = 0;
+    let phase = 0;
+    for (let radius = 0; radius <= maxRadius + spacing; radius = (spacing * theta) / (2 * Math.PI)) {
+      const ux = Math.cos(theta + rotation);
+      const uy = Math.sin(theta + rotation);
+      const intensity = intensityAt(cx + ux * radius, cy + uy * radius);
+      phase += (2 * Math.PI * step * (0.5 + 1.5 * intensity)) / spacing;
+      samples.push({ radius, ux, uy, intensity, phase });
+      theta += step / Math.max(radius, step);
+    }
+    const at = ({ ux, uy }, radius) => ({ x: cx + ux * radius, y: cy + uy * radius });
+
+    if (config.spiralModulation === 'wiggle') {
+      // The wiggle moves the line across the spiral, towards and away from the center.
+      const amplitude = maxWidth / 2;
+      const points = samples.map(sample => at(sample, sample.radius + amplitude * sample.intensity * Math.sin(sample.phase)));
+      return [PlotGeometry.polyline(points, renderStyle === 'stroke' ? strokeWidth : 1)];
+    }
+
+    // The ribbon runs out along the outer edge of the line and back along the inner edge.
+    // It is not convex; the fill strategies and knockout handle it as a whole.
+    const outer = samples.map(sample => at(sample, sample.radius + (maxWidth / 2) * sample.intensity));
+    const inner = samples.map(sample => at(sample, Math.max(0, sample.radius - (maxWidth / 2) * sample.intensity))).reverse();
+    return [PlotGeometry.polygon(outer.concat(inner), renderStyle === 'stroke' ? strokeWidth : null)];
+  }
+
+  /**
+   * Generates a text halftone: each grid point is drawn as a glyph of the Hershey single-stroke font,
+   * so the text plots as clean pen lines. In ramp mode the glyph is picked from a character ramp
+   * by intensity; in string mode a text is repeated in reading order along the rotated rows,
+   * with each glyph scaled by intensity. Glyphs are turned with the grid, so text runs along the rows.
+   * A blank text falls back to the default ramp. This method uses the `applyRotatedGrid` helper.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - The processing configuration object.
+   * @param {string} [config.textMode='ramp'] - 'ramp' or 'string'.
+   * @param {string} [config.glyphText] - This channel's ramp (light to dark) or repeated text.
+   * @param {number} [config.glyphSize=100] - This channel's capital letter height, in percent of the spacing.
+   * @returns {object[]} One polyline per glyph stroke.
+   */
+  generateTextPattern(values, width, height, config) {
+    const { spacing, renderStyle, strokeWidth } = config;
+    const text = config.glyphText && config.glyphText.trim() ? config.glyphText : HalftonePatterns.GLYPH_RAMP;
+    const characters = Array.from(text);
+    const lineWidth = renderStyle === 'stroke' ? strokeWidth : 1;
+    const { cosA, sinA, diagonal } = this.getGridTransform(width, height, config.angle);
+    const size = (spacing * (config.glyphSize ?? 100)) / 100 / HersheyFont.CAP_HEIGHT;
+    const drawGlyph = (char, x, y, scale) => {
+      const glyph = HersheyFont.getGlyph(char);
+      if (!glyph) return [];
+      return glyph.strokes.map(stroke => PlotGeometry.polyline(stroke.map(p => ({
+        x: x + (p.x * cosA - p.y * sinA) * scale,
+        y: y + (p.x * sinA + p.y * cosA) * scale
+      })), lineWidth));
+    };
+
+    if (config.textMode !== 'string') {
+      return this.applyRotatedGrid(values, width, height, config, (x, y, intensity) =>
+        drawGlyph(characters[Math.min(characters.length - 1, Math.floor(intensity * characters.length))], x, y, size));
+    }
+
+    // Number the cells by their row and column on the rotated grid, so the text reads
+    // row by row and left to right whatever order the grid is visited in.
+    const cells = [];
+    this.applyRotatedGrid(values, width, height, config, (x, y, intensity) => {
+      const dx = x - width / 2;
+      const dy = y - height / 2;
+      const row = Math.round((-dx * sinA + dy * cosA + diagonal / 2) / spacing);
+      const column = Math.round((dx * cosA + dy * sinA + diagonal / 2) / spacing);
+      cells.push({ x, y, intensity, row, column });
+      return null;
+    });
+    cells.sort((a, b) => a.row - b.row || a.column - b.column);
+
+    // Light cells still take their character, so the text keeps its place on the page.
+    return cells.flatMap(({ x, y, intensity }, index) =>
+      intensity < 0.1 ? [] : drawGlyph(characters[index % characters.length], x, y, size * intensity));
+  }
+
+  /**
+   * Generates TSP art: a single continuous line through density-weighted stipple points.
+   * Points are placed like `generateStipplePattern`, but with a seeded random generator so
+   * the same image always gives the same tour, and the tour is solved with `PathOptimizer`.
+   * @param {number[]} values - The array of image intensity values (0-1).
+   * @param {number} width - The width of the canvas.
+   * @param {number} height - The height of the canvas.
+   * @param {object} config - The processing configuration object.
+   * @param {number} [config.tspTimeBudget=5] - The time in seconds the solver may spend improving the tour.
+   * @param {function(number): void} [onProgress] - Called with the fraction of the solve completed.
+   * @returns {object[]} The tour as a single polyline, or no shapes if the channel is empty.
+   */
+  generateTSPPattern(values, width, height, config, onProgress = () => {}) {
+    const { spacing, angle, renderStyle, strokeWidth } = config;
+    const cellSize = spacing / 2;
+    // Seed by screen angle so overlapping channels do not share the same point layout.
+    const random = this.advancedPatterns.createSeededRandom(12345 + Math.round(angle || 0));
+
+    const cells = [];
+    let expected = 0;
+    for (let y = cellSize / 2; y < height; y += cellSize) {
+      for (let x = cellSize / 2; x < width; x += cellSize) {
+        const intensity = values[Math.floor(y) * width + Math.floor(x)] || 0;
+        if (intensity > 0) {
+          cells.push({ x, y, intensity });
+          expected += intensity;
+        }
+      }
+    }
+
+    // Thin the points evenly when there are more than the solver can handle.
+    const density = Math.min(1, HalftonePatterns.TSP_MAX_POINTS / Math.max(1, expected));
+    const points = [];
+    cells.forEach(({ x, y, intensity }) => {
+      if (random() < intensity * density) {
+        points.push({
+          x: Math.min(width, Math.max(0, x + (random() - 0.5) * cellSize)),
+          y: Math.min(height, Math.max(0, y + (random() - 0.5) * cellSize))
+        });
+      }
+    });
+    if (points.length < 2) {
+      onProgress(1);
+      return [];
+    }
+
+    const optimizer = new PathOptimizer({ timeBudget: (config.tspTimeBudget ?? 5) * 1000 });
+    const tour = optimizer.solveTour(points, onProgress);
+    return [PlotGeometry.polyline(tour, renderStyle === 'stroke' ? strokeWidth : 1)];
+  }
+
+  /**
+   * Calculates the frame that shapes are clipped to: the image rectangle, inset on every side.
+   * @param {number} width - The image width.
+   * @param {number} height - The image height.
+   * @param {number} [inset=0] - The inset as a percentage of the shorter image side.
+   * @returns {{x: number, y: number, width: number, height: number}} The frame in image pixels.
+   */
+  getClipFrame(width, height, inset = 0) {
+    const margin = Math.min(width, height) * Math.min(Math.max(0, inset), 45) / 100;
+    return { x: margin, y: margin, width: width - 2 * margin, height: height - 2 * margin };
   }
 
   /**
@@ -0,0 +1,119 @@
+/**
+ * @file Generates HPGL for HP/Roland-style pen plotters from the halftone output.
+ * Each channel is mapped to a pen number, and its shapes become `PU`/`PD`
+ * sequences in plotter units.
+ */
+
+/**
+ * A class that converts the per-channel geometry held by an `SVGExporter`
+ * into HPGL programs and offers them for download.
+ */
+class HPGLExporter {
+  /**
+   * Plotter units per millimetre (one unit is 0.025mm).
+   * @type {number}
+   */
+  static UNITS_PER_MM = 40;
+
+  /**
+   * The highest pen number available in the carousel.
+   * @type {number}
+   */
+  static MAX_PEN = 8;
+
+  /**
+   * Initializes the HPGLExporter.
+   * @param {SVGExporter} svgExporter - The exporter holding the generated geometry and paper settings.
+   */
+  constructor(svgExporter) {
+    /**
+     * The SVG exporter that provides channel geometry and paper fitting.
+     * @type {SVGExporter}
+     */
+    this.svgExporter = svgExporter;
+
+    /**
+     * The maximum number of coordinate pairs in a single `PD` instruction.
+     * Older plotters have small input buffers, so long paths are split.
+     * @type {number}
+     */
+    this.maxPointsPerCommand = 64;
+  }
+
+  /**
+   * Returns the pen number for a channel, based on its position in `config.channelNames`.
+   * Channels beyond the last pen wrap around to pen 1.
+   * @param {string} channel - The channel name.
+   * @param {object} config - The application configuration.
+   * @returns {number} The pen number (1 to MAX_PEN).
+   */
+  getPenNumber(channel, config) {
+    const index = Math.max(0, (config.channelNames || []).indexOf(channel));
+    return (index % HPGLExporter.MAX_PEN) + 1;
+  }
+
+  /**
+   * Generates an HPGL program for a channel or for all channels combined.
+   * @param {string} channel - The channel name, or 'combined'.
+   * @param {object} config - The application configuration, including `paperSize`.
+   * @param {{layers: object[], transform: object}|null} [plot] - The pen paths to write; by default
+   * the channel's whole page from `SVGExporter.getPlotLayers`.
+   * @returns {string|null} The HPGL program, or null if there is no data for the channel.
+   */
+  generateHPGL(channel, config, plot = this.svgExporter.getPlotLayers(channel, config)) {
+    if (!plot) return null;
+
+    const { layers, transform } = plot;
+    const unitsPerPageUnit = HPGLExporter.UNITS_PER_MM * (transform.unit === 'in' ? 25.4 : 1);
+    // HPGL's origin is the bottom-left corner with y pointing up.
+    const toPlotter = (p) => `${Math.round(p.x * unitsPerPageUnit)},${Math.round((transform.pageHeight - p.y) * unitsPerPageUnit)}`;
+
+    const commands = ['IN;'];
+    layers.forEach(layer => {
+      commands.push(`SP${this.getPenNumber(layer.channel, config)};`);
+      layer.polylines.forEach(polyline => {
+        const points = polyline.points.map(toPlotter);
+        if (polyline.closed) points.push(points[0]);
+
+        commands.push(`PU${points[0]};`);
+        for (let i = 1; i < points.length; i += this.maxPointsPerCommand) {
+          commands.push(`PD${points.slice(i, i + this.maxPointsPerCommand).join(',')};`);
+        }
+      });
+      commands.push('PU;');
+    });
+    commands.push('SP0;');
+    return commands.join('\n') + '\n';
+  }
+
+  /**
+   * Triggers the download of an HPGL file for a specified channel.
+   * @param {string} channel - The channel name to download, or 'combined'.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadHPGL(channel, config = {}) {
+    const hpgl = this.generateHPGL(channel, config);
+    if (!hpgl) {
+      console.error(`No plot data found for channel: ${channel}`);
+      return;
+    }
+    this.svgExporter.downloadFile(hpgl, `halftone-${channel}-${new Date().getTime()}.hpgl`, 'application/vnd.hp-hpgl');
+  }
+
+  /**
+   * Downloads one HPGL file per channel followed by the combined file.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadAllChannels(config = {}) {
+    const channels = this.svgExporter.getChannels('combined', config);
+    let delay = 0;
+    channels.forEach(channel => {
+      setTimeout(() => this.downloadHPGL(channel, config), delay);
+      delay += 500; // Stagger downloads to prevent browser blocking.
+    });
+    setTimeout(() => this.downloadHPGL('combined', config), delay);
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.HPGLExporter = HPGLExporter;
@@ -0,0 +1,373 @@
+/**
+ * @file Removes ink from lower-priority channels where a higher-priority channel
+ * already covers the paper, so overlapping wet inks do not mix or soak the paper.
+ * A trap width lets the lower channel run on under the edge of the higher one,
+ * which hides small misregistration between passes.
+ */
+
+/**
+ * A class that knocks out the shapes of lower-priority channels.
+ * The coverage of a channel is described by convex polygons: convex fills as they are,
+ * other filled polygons split into convex parts, strokes by a polygon around each segment.
+ * Every fill is shrunk by the trap width before it is subtracted. Strokes below are cut
+ * into the pieces that lie outside the coverage; filled shapes below are split into
+ * convex polygons.
+ */
+class Knockout {
+  /**
+   * The size, in pixels, of the grid cells used to find the coverage near a shape.
+   * @type {number}
+   */
+  static CELL_SIZE = 16;
+
+  /**
+   * Initializes the Knockout stage.
+   */
+  constructor() {
+    /**
+     * Provides the convex polygon offsetting shared with the plotter fills.
+     * @type {PlotterFills}
+     */
+    this.fills = new PlotterFills();
+  }
+
+  /**
+   * Ranks the channels. A channel knocks out every channel with a lower rank; channels
+   * with the same rank are left to overlap.
+   * @param {string[]} channels - The channels in `config.channelNames` order.
+   * @param {string} priority - 'key' for the key channel (black, or the darkest tone) over all
+   * others, 'last' for later channels over earlier ones, 'first' for earlier channels over later ones.
+   * @returns {Object.<string, number>} The rank of each channel.
+   */
+  getRanks(channels, priority) {
+    const ranks = {};
+    const key = channels.includes('black') ? 'black' : channels[0];
+    channels.forEach((channel, index) => {
+      if (priority === 'last') ranks[channel] = index;
+      else if (priority === 'first') ranks[channel] = -index;
+      else ranks[channel] = channel === key ? 1 : 0;
+    });
+    return ranks;
+  }
+
+  /**
+   * Applies the knockout to a set of channel layers.
+   * @param {Array<{channel: string, shapes: object[]}>} layers - The layers in `config.channelNames` order.
+   * @param {{priority: string, trap: number}} options - The channel priority (see `getRanks`) and the trap width in pixels.
+   * @returns {Array<{channel: string, shapes: object[]}>} New layers with the covered parts removed.
+   */
+  apply(layers, options) {
+    const ranks = this.getRanks(layers.map(layer => layer.channel), options.priority);
+    const trap = Math.max(0, options.trap || 0);
+    const coverage = layers.map(layer => this.getCoverage(layer.shapes, trap));
+
+    return layers.map(layer => {
+      const blockers = [];
+      layers.forEach((other, index) => {
+        if (ranks[other.channel] > ranks[layer.channel]) blockers.push(...coverage[index]);
+      });
+      if (blockers.length === 0) return layer;
+
+      const grid = this.buildGrid(blockers);
+      const shapes = [];
+      layer.shapes.forEach(shape => {
+        if (this.findNearby(grid, blockers, PlotGeometry.getBounds(shape)).length === 0) {
+          shapes.push(shape);
+          return;
+        }
+        // A fill that is not convex is cut up for the subtraction, but only kept in pieces where it is covered.
+        const parts = this.isConcaveFill(shape)
+          ? PlotGeometry.convexParts(shape.points).map(points => PlotGeometry.polygon(points))
+          : [shape];
+        const kept = [];
+        let changed = false;
+        parts.forEach(part => {
+          const nearby = this.findNearby(grid, blockers, PlotGeometry.getBounds(part));
+          let remaining = [part];
+          if (nearby.length > 0) {
+            remaining = part.filled ? this.subtractFromFill(part, nearby) : this.subtractFromStroke(part, nearby);
+          }
+          if (remaining.length !== 1 || remaining[0] !== part) changed = true;
+          kept.push(...remaining);
+        });
+        shapes.push(...(changed ? kept : [shape]));
+      });
+      return { channel: layer.channel, shapes };
+    });
+  }
+
+  /**
+   * Tells whether a shape is a filled polygon that is not convex.
+   * @param {object} shape - The shape.
+   * @returns {boolean} Whether the shape has to be split before it can be treated as convex.
+   */
+  isConcaveFill(shape) {
+    return shape.filled && shape.type === 'polygon' && !PlotGeometry.isConvex(shape.points);
+  }
+
+  /**
+   * Describes the area a channel covers as convex polygons, shrunk by the trap width.
+   * @param {object[]} shapes - The channel's shapes.
+   * @param {number} trap - The trap width in pixels.
+   * @returns {Array<{points: Array<{x: number, y: number}>, bounds: object}>} The coverage polygons with their bounding boxes.
+   */
+  getCoverage(shapes, trap) {
+    const polygons = [];
+    const add = (points) => {
+      if (points && points.length > 2) polygons.push({ points, bounds: PlotGeometry.getBounds({ points }) });
+    };
+    shapes.forEach(shape => {
+      if (shape.filled) {
+        if (shape.type === 'circle') {
+          if (shape.r > trap) add(PlotGeometry.circleToPoints(shape.cx, shape.cy, shape.r - trap, 0.25));
+        } else if (this.isConcaveFill(shape)) {
+          // The trap is taken off the whole outline first, so the seams between the parts stay covered.
+          const outlines = trap > 0
+            ? PlotGeometry.insetOutlines(PlotGeometry.distanceField(shape.points, trap / 2), trap)
+            : [shape.points];
+          outlines.forEach(outline => PlotGeometry.convexParts(outline).forEach(add));
+        } else {
+          const hull = this.convexHull(shape.points);
+          add(trap > 0 ? this.fills.offsetConvexPolygon(hull, trap) : hull);
+        }
+        return;
+      }
+      const halfWidth = shape.strokeWidth / 2 - trap;
+      if (halfWidth <= 0) return;
+      PlotGeometry.shapeToPolylines(shape, 0.25).forEach(({ points, closed }) => {
+        const path = closed ? [...points, points[0]] : points;
+        for (let i = 1; i < path.length; i++) {
+          add(this.segmentOutline(path[i - 1], path[i], halfWidth));
+        }
+      });
+    });
+    return polygons;
+  }
+
+  /**
+   * Builds a convex polygon around a stroked segment: a rectangle with half-octagon caps,
+   * which follows the round pen tip closely.
+   * @param {{x: number, y: number}} a - The start point.
+   * @param {{x: number, y: number}} b - The end point.
+   * @param {number} halfWidth - Half the stroke width.
+   * @returns {Array<{x: number, y: number}>} The outline.
+   */
+  segmentOutline(a, b, halfWidth) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const angle = length > 0 ? Math.atan2(b.y - a.y, b.x - a.x) : 0;
+    const points = [];
+    for (let i = 0; i <= 4; i++) {
+      const theta = angle - Math.PI / 2 + (i / 4) * Math.PI;
+      points.push({ x: b.x + Math.cos(theta) * halfWidth, y: b.y + Math.sin(theta) * halfWidth });
+    }
+    for (let i = 0; i <= 4; i++) {
+      const theta = angle + Math.PI / 2 + (i / 4) * Math.PI;
+      points.push({ x: a.x + Math.cos(theta) * halfWidth, y: a.y + Math.sin(theta) * halfWidth });
+    }
+    return points;
+  }
+
+  /**
+   * Calculates the convex hull of a set of points (monotone chain).
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @returns {Array<{x: number, y: number}>} The hull, counter-clockwise in y-up coordinates.
+   */
+  convexHull(points) {
+    const sorted = points.slice().sort((p, q) => p.x - q.x || p.y - q.y);
+    if (sorted.length < 3) return sorted;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    const upper = [];
+    sorted.forEach(p => {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+      lower.push(p);
+    });
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const p = sorted[i];
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+      upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+  }
+
+  /**
+   * Indexes coverage polygons by the grid cells their bounding boxes touch.
+   * @param {Array<{bounds: object}>} polygons - The coverage polygons.
+   * @returns {Map<string, number[]>} The polygon indices per cell.
+   */
+  buildGrid(polygons) {
+    const grid = new Map();
+    polygons.forEach((polygon, index) => {
+      this.forEachCell(polygon.bounds, key => {
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+      });
+    });
+    return grid;
+  }
+
+  /**
+   * Finds the coverage polygons whose bounding boxes overlap the given box.
+   * @param {Map<string, number[]>} grid - The grid built by `buildGrid`.
+   * @param {Array<{points: object[], bounds: object}>} polygons - The coverage polygons.
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The box to test.
+   * @returns {Array<Array<{x: number, y: number}>>} The outlines of the overlapping polygons.
+   */
+  findNearby(grid, polygons, bounds) {
+    const found = new Set();
+    this.forEachCell(bounds, key => {
+      (grid.get(key) || []).forEach(index => {
+        const other = polygons[index].bounds;
+        if (other.minX <= bounds.maxX && other.maxX >= bounds.minX && other.minY <= bounds.maxY && other.maxY >= bounds.minY) {
+          found.add(index);
+        }
+      });
+    });
+    return [...found].map(index => polygons[index].points);
+  }
+
+  /**
+   * Calls a function with the key of every grid cell a bounding box touches.
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The bounding box.
+   * @param {function(string)} callback - The function to call.
+   */
+  forEachCell(bounds, callback) {
+    const size = Knockout.CELL_SIZE;
+    for (let row = Math.floor(bounds.minY / size); row <= Math.floor(bounds.maxY / size); row++) {
+      for (let col = Math.floor(bounds.minX / size); col <= Math.floor(bounds.maxX / size); col++) {
+        callback(`${col},${row}`);
+      }
+    }
+  }
+
+  /**
+   * Removes the covered area from a filled shape.
+   * @param {object} shape - A filled circle or polygon.
+   * @param {Array<Array<{x: number, y: number}>>} blockers - The convex coverage polygons that may overlap it.
+   * @returns {object[]} The uncovered parts as filled convex polygons, or the shape itself if nothing covers it.
+   */
+  subtractFromFill(shape, blockers) {
+    const outline = shape.type === 'circle'
+      ? PlotGeometry.circleToPoints(shape.cx, shape.cy, shape.r)
+      : shape.points;
+    let pieces = [outline];
+    let changed = false;
+    blockers.forEach(blocker => {
+      pieces = pieces.flatMap(piece => {
+        const remaining = this.subtractConvex(piece, blocker);
+        if (remaining.length !== 1 || remaining[0] !== piece) changed = true;
+        return remaining;
+      });
+    });
+    if (!changed) return [shape];
+    return pieces
+      .filter(points => Math.abs(this.fills.signedArea(points)) > 0.01)
+      .map(points => PlotGeometry.polygon(points));
+  }
+
+  /**
+   * Subtracts a convex polygon from a polygon. The difference is split into convex pieces:
+   * the part outside the first edge of the blocker, then the part inside the first edge but
+   * outside the second, and so on.
+   * @param {Array<{x: number, y: number}>} points - The polygon to subtract from.
+   * @param {Array<{x: number, y: number}>} blocker - The convex polygon to remove.
+   * @returns {Array<Array<{x: number, y: number}>>} The remaining pieces; `[points]` if they do not overlap.
+   */
+  subtractConvex(points, blocker) {
+    const orientation = this.fills.signedArea(blocker) > 0 ? 1 : -1;
+    const pieces = [];
+    let inside = points;
+    for (let i = 0; i < blocker.length && inside.length > 2; i++) {
+      const a = blocker[i];
+      const b = blocker[(i + 1) % blocker.length];
+      const outside = PlotGeometry.clipPolygonToHalfPlane(inside, b, a, orientation);
+      // Slivers along an edge the blocker shares with the next one would only be cut up again.
+      if (outside.length > 2 && Math.abs(this.fills.signedArea(outside)) > 0.01) pieces.push(outside);
+      inside = PlotGeometry.clipPolygonToHalfPlane(inside, a, b, orientation);
+    }
+    if (inside.length < 3 || Math.abs(this.fills.signedArea(inside)) <= 0.01) return [points];
+    return pieces;
+  }
+
+  /**
+   * Removes the covered parts from a stroked shape.
+   * @param {object} shape - A stroked shape.
+   * @param {Array<Array<{x: number, y: number}>>} blockers - The convex coverage polygons that may overlap it.
+   * @returns {object[]} The uncovered pieces as open polylines, or the shape itself if nothing covers it.
+   */
+  subtractFromStroke(shape, blockers) {
+    const pieces = [];
+    let changed = false;
+    PlotGeometry.shapeToPolylines(shape).forEach(({ points, closed }) => {
+      const path = closed ? [...points, points[0]] : points;
+      let current = null;
+      for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const covered = blockers
+          .map(blocker => this.clipSegmentToConvex(a, b, blocker))
+          .filter(Boolean)
+          .sort((p, q) => p[0] - q[0]);
+        if (covered.length > 0) changed = true;
+
+        // Walk along the segment and keep the gaps between the covered intervals.
+        let t = 0;
+        const visible = [];
+        covered.forEach(([start, end]) => {
+          if (start > t) visible.push([t, start]);
+          t = Math.max(t, end);
+        });
+        if (t < 1) visible.push([t, 1]);
+
+        const at = (s) => ({ x: a.x + (b.x - a.x) * s, y: a.y + (b.y - a.y) * s });
+        visible.forEach(([start, end]) => {
+          if (!current || start > 0) {
+            current = [at(start)];
+            pieces.push(current);
+          }
+          current.push(end === 1 ? b : at(end));
+          if (end < 1) current = null;
+        });
+        if (visible.length === 0 || visible[visible.length - 1][1] < 1) current = null;
+      }
+    });
+    if (!changed) return [shape];
+    return pieces.map(points => PlotGeometry.polyline(points, shape.strokeWidth, shape.lineCap));
+  }
+
+  /**
+   * Finds the part of a segment that lies inside a convex polygon (Cyrus–Beck).
+   * @param {{x: number, y: number}} a - The start point.
+   * @param {{x: number, y: number}} b - The end point.
+   * @param {Array<{x: number, y: number}>} polygon - The convex polygon.
+   * @returns {number[]|null} The covered interval `[t0, t1]` along the segment, or null if it does not cross the polygon.
+   */
+  clipSegmentToConvex(a, b, polygon) {
+    const orientation = this.fills.signedArea(polygon) > 0 ? 1 : -1;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    let t0 = 0;
+    let t1 = 1;
+    for (let i = 0; i < polygon.length; i++) {
+      const p = polygon[i];
+      const q = polygon[(i + 1) % polygon.length];
+      // The polygon lies where the cross product with its edge has the sign of its orientation.
+      const ex = q.x - p.x;
+      const ey = q.y - p.y;
+      const start = orientation * (ex * (a.y - p.y) - ey * (a.x - p.x));
+      const change = orientation * (ex * dy - ey * dx);
+      if (change === 0) {
+        if (start < 0) return null;
+        continue;
+      }
+      const t = -start / change;
+      if (change > 0) t0 = Math.max(t0, t);
+      else t1 = Math.min(t1, t);
+      if (t0 >= t1) return null;
+    }
+    return [t0, t1];
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.Knockout = Knockout;
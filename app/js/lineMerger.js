@@ -0,0 +1,216 @@
+/**
+ * @file Joins the short line segments emitted by the line-based patterns into
+ * continuous runs, so a plotter draws a whole screen line without lifting the pen.
+ */
+
+/**
+ * A class that merges collinear and end-to-end-touching line segments into polylines
+ * and removes duplicate segments. Segments are only joined when their stroke widths
+ * are identical, so width-modulated line screens keep their modulation.
+ */
+class LineMerger {
+  /**
+   * Replaces all line segments (two-point polylines) in a list of shapes with merged runs.
+   * Other shapes, including round-capped pen strokes, are left untouched.
+   * The line screens leave a gap of a fraction of the spacing between the dashes of a row,
+   * so they pass the spacing as `bridge`: gaps up to that length are drawn through when
+   * the next dash is parallel and carries on in the same direction.
+   * @param {object[]} shapes - The shapes produced by a pattern generator.
+   * @param {number} [tolerance=0.5] - The maximum gap or offset, in pixels, across which segments are joined.
+   * @param {number} [bridge=tolerance] - The maximum gap, in pixels, bridged between parallel segments.
+   * @returns {object[]} The shapes with the line segments merged.
+   */
+  mergeLines(shapes, tolerance = 0.5, bridge = tolerance) {
+    const byWidth = new Map();
+    const otherShapes = shapes.filter(shape => {
+      if (shape.type !== 'polyline' || shape.points.length !== 2 || shape.lineCap) return true;
+      // Widths are compared as they are written to the SVG.
+      const width = shape.strokeWidth.toFixed(2);
+      if (!byWidth.has(width)) byWidth.set(width, []);
+      byWidth.get(width).push({ a: shape.points[0], b: shape.points[1] });
+      return false;
+    });
+
+    const merged = [];
+    byWidth.forEach((segments, width) => {
+      const unique = this.removeDuplicates(segments);
+      const straight = this.mergeCollinear(unique, tolerance, Math.max(tolerance, bridge));
+      this.chainSegments(straight, tolerance, Math.max(tolerance, bridge)).forEach(points => {
+        merged.push(PlotGeometry.polyline(points, parseFloat(width)));
+      });
+    });
+    return otherShapes.concat(merged);
+  }
+
+  /**
+   * Removes segments that have exactly the same endpoints, in either direction.
+   * @param {Array<{a: {x: number, y: number}, b: {x: number, y: number}}>} segments - The segments.
+   * @returns {Array<{a: {x: number, y: number}, b: {x: number, y: number}}>} The unique segments.
+   */
+  removeDuplicates(segments) {
+    const seen = new Set();
+    return segments.filter(({ a, b }) => {
+      const first = `${a.x},${a.y}`;
+      const second = `${b.x},${b.y}`;
+      const key = first < second ? `${first}|${second}` : `${second}|${first}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Merges segments that lie on the same straight line and overlap or are separated
+   * by no more than the bridged gap.
+   * Each segment is described by its direction angle and its perpendicular offset from
+   * the origin; segments with matching values are projected onto their common line
+   * and merged as intervals. The offset must match much more closely than the gap
+   * tolerance, so closely spaced parallel lines (as in crosshatch) stay separate.
+   * @param {Array<{a: {x: number, y: number}, b: {x: number, y: number}}>} segments - The segments.
+   * @param {number} tolerance - The maximum offset to bridge.
+   * @param {number} [bridge=tolerance] - The maximum gap along the line to bridge.
+   * @returns {Array<{a: {x: number, y: number}, b: {x: number, y: number}}>} The merged segments.
+   */
+  mergeCollinear(segments, tolerance, bridge = tolerance) {
+    const angleTolerance = Math.PI / 180;
+    const offsetTolerance = Math.min(tolerance, 0.1);
+    const lines = segments.map(({ a, b }, index) => {
+      let theta = Math.atan2(b.y - a.y, b.x - a.x);
+      if (theta < 0) theta += Math.PI;
+      if (theta >= Math.PI) theta -= Math.PI;
+      const cosT = Math.cos(theta);
+      const sinT = Math.sin(theta);
+      const rho = -sinT * a.x + cosT * a.y;
+      const ta = cosT * a.x + sinT * a.y;
+      const tb = cosT * b.x + sinT * b.y;
+      return { index, theta, rho, start: Math.min(ta, tb), end: Math.max(ta, tb) };
+    });
+
+    const merged = [];
+    const groupBy = (items, key, limit) => {
+      const groups = [];
+      items.slice().sort((p, q) => p[key] - q[key]).forEach(item => {
+        const group = groups[groups.length - 1];
+        if (group && item[key] - group[0][key] <= limit) group.push(item);
+        else groups.push([item]);
+      });
+      return groups;
+    };
+
+    // Directions wrap around at π, so lines just below π continue the group just above 0.
+    // They are turned round (negating the offset and the interval) to join it.
+    const angleGroups = groupBy(lines, 'theta', angleTolerance);
+    const first = angleGroups[0];
+    const last = angleGroups[angleGroups.length - 1];
+    if (angleGroups.length > 1 && first[0].theta + Math.PI - last[last.length - 1].theta <= angleTolerance) {
+      angleGroups.pop();
+      last.forEach(line => {
+        first.push({ index: line.index, theta: line.theta - Math.PI, rho: -line.rho, start: -line.end, end: -line.start });
+      });
+    }
+
+    angleGroups.forEach(sameAngle => {
+      groupBy(sameAngle, 'rho', offsetTolerance).forEach(sameLine => {
+        const theta = sameLine.reduce((sum, line) => sum + line.theta, 0) / sameLine.length;
+        const rho = sameLine.reduce((sum, line) => sum + line.rho, 0) / sameLine.length;
+        const cosT = Math.cos(theta);
+        const sinT = Math.sin(theta);
+        const toPoint = (t) => ({ x: t * cosT - rho * sinT, y: t * sinT + rho * cosT });
+        // Single segments are kept exactly as they were.
+        if (sameLine.length === 1) {
+          merged.push(segments[sameLine[0].index]);
+          return;
+        }
+
+        sameLine.sort((p, q) => p.start - q.start);
+        let current = { start: sameLine[0].start, end: sameLine[0].end };
+        for (let i = 1; i < sameLine.length; i++) {
+          if (sameLine[i].start <= current.end + bridge) {
+            current.end = Math.max(current.end, sameLine[i].end);
+          } else {
+            merged.push({ a: toPoint(current.start), b: toPoint(current.end) });
+            current = { start: sameLine[i].start, end: sameLine[i].end };
+          }
+        }
+        merged.push({ a: toPoint(current.start), b: toPoint(current.end) });
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Chains segments whose endpoints touch (within the tolerance) into polylines. Where no
+   * segment touches, the chain jumps to the nearest parallel segment that starts within
+   * the bridged gap ahead of it, which links the separate dashes of a screen line.
+   * @param {Array<{a: {x: number, y: number}, b: {x: number, y: number}}>} segments - The segments.
+   * @param {number} tolerance - The maximum distance between endpoints that are joined.
+   * @param {number} [bridge=tolerance] - The maximum gap to a parallel segment that is joined.
+   * @returns {Array<Array<{x: number, y: number}>>} The polylines, as lists of points.
+   */
+  chainSegments(segments, tolerance, bridge = tolerance) {
+    const cellSize = Math.max(bridge, tolerance, 1e-6);
+    const minParallel = Math.cos(Math.PI / 180);
+    const grid = new Map();
+    const cellKey = (col, row) => `${col},${row}`;
+    segments.forEach((segment, index) => {
+      [segment.a, segment.b].forEach(p => {
+        const key = cellKey(Math.floor(p.x / cellSize), Math.floor(p.y / cellSize));
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+      });
+    });
+
+    const used = new Uint8Array(segments.length);
+    // Finds an unused segment continuing the chain from p, heading away from `previous`,
+    // and returns the points it adds to the chain.
+    const takeNeighbour = (p, previous) => {
+      const col = Math.floor(p.x / cellSize);
+      const row = Math.floor(p.y / cellSize);
+      const length = Math.hypot(p.x - previous.x, p.y - previous.y) || 1;
+      const ux = (p.x - previous.x) / length;
+      const uy = (p.y - previous.y) / length;
+      let best = null;
+      let bestDistance = Infinity;
+      for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = col - 1; c <= col + 1; c++) {
+          const cell = grid.get(cellKey(c, r));
+          if (!cell) continue;
+          for (const index of cell) {
+            if (used[index]) continue;
+            const { a, b } = segments[index];
+            for (const [near, far] of [[a, b], [b, a]]) {
+              const distance = Math.hypot(near.x - p.x, near.y - p.y);
+              if (distance <= tolerance) { used[index] = 1; return [far]; }
+              if (distance > bridge || distance >= bestDistance) continue;
+              // A bridged segment must run parallel to the chain and start ahead of it.
+              const span = Math.hypot(far.x - near.x, far.y - near.y) || 1;
+              const parallel = ((far.x - near.x) * ux + (far.y - near.y) * uy) / span;
+              if (parallel >= minParallel && (near.x - p.x) * ux + (near.y - p.y) * uy > 0) {
+                best = { index, points: [near, far] };
+                bestDistance = distance;
+              }
+            }
+          }
+        }
+      }
+      if (!best) return null;
+      used[best.index] = 1;
+      return best.points;
+    };
+
+    const chains = [];
+    segments.forEach((segment, index) => {
+      if (used[index]) return;
+      used[index] = 1;
+      const points = [segment.a, segment.b];
+      let next;
+      while ((next = takeNeighbour(points[points.length - 1], points[points.length - 2]))) points.push(...next);
+      while ((next = takeNeighbour(points[0], points[1]))) points.unshift(...next.reverse());
+      chains.push(points);
+    });
+    return chains;
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.LineMerger = LineMerger;
@@ -14,6 +14,12 @@
  * the different modules.
  */
 class HalftoneApp {
+  /**
+   * The largest working image width, in pixels, used in physical units mode.
+   * @type {number}
+   */
+  static MAX_WORKING_WIDTH = 4000;
+
   /**
    * Initializes the application by setting up properties and event listeners.
    */
@@ -30,6 +36,42 @@ class HalftoneApp {
      */
     this.exporter = new SVGExporter();
 
+    /**
+     * Instance of the GCodeExporter class for pen plotter output.
+     * @type {GCodeExporter}
+     */
+    this.gcodeExporter = new GCodeExporter(this.exporter);
+
+    /**
+     * Instance of the HPGLExporter class for HP/Roland pen plotter output.
+     * @type {HPGLExporter}
+     */
+    this.hpglExporter = new HPGLExporter(this.exporter);
+
+    /**
+     * Instance of the PDFExporter class for vector PDF output with spot colors.
+     * @type {PDFExporter}
+     */
+    this.pdfExporter = new PDFExporter(this.exporter);
+
+    /**
+     * Instance of the TileExporter class for multi-sheet output.
+     * @type {TileExporter}
+     */
+    this.tileExporter = new TileExporter(this.exporter, { gcode: this.gcodeExporter, hpgl: this.hpglExporter, pdf: this.pdfExporter });
+
+    /**
+     * Instance of the RasterExporter class for high-resolution PNG and TIFF output.
+     * @type {RasterExporter}
+     */
+    this.rasterExporter = new RasterExporter(this.exporter);
+
+    /**
+     * Instance of the PlotEstimator class for plot time and ink usage analysis.
+     * @type {PlotEstimator}
+     */
+    this.plotEstimator = new PlotEstimator(this.exporter);
+
     /**
      * Instance of the ColorManager class for generating harmonious palettes.
      * @type {ColorManager}
@@ -54,6 +96,18 @@ class HalftoneApp {
      */
     this.expectedWorkerResults = 0;
 
+    /**
+     * The pixel size at which the current image is processed. This is the image's own size,
+     * or the resampled size in physical units mode.
+     * @type {{width: number, height: number}|null}
+     */
+    this.workingSize = null;
+
+    /**
+     * The blue-noise threshold mask loaded for ordered dithering, with thresholds in row-major order.
+     * @type {{width: number, height: number, thresholds: number[]}|null}
+     */
+    this.blueNoiseMask = null;
 
     this.initializeEventListeners();
     this.updateUIForCurrentSettings();
@@ -74,10 +128,14 @@ class HalftoneApp {
     uploadArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
     uploadArea.addEventListener('drop', this.handleDrop.bind(this));
     fileInput.addEventListener('change', this.handleFileSelect.bind(this));
+    document.getElementById('blueNoiseFile').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) this.loadBlueNoiseMask(e.target.files[0]);
+    });
 
     // --- Main Action Listeners ---
     processBtn.addEventListener('click', this.processImage.bind(this));
     resetBtn.addEventListener('click', this.resetApp.bind(this));
+    document.getElementById('analyzeBtn').addEventListener('click', this.updatePlotAnalysis.bind(this));
 
     // --- Worker Message Listener ---
     this.worker.onmessage = this.handleWorkerMessage.bind(this);
@@ -101,8 +159,19 @@ class HalftoneApp {
       { id: 'spacing',    display: 'spacingValue',    suffix: 'px' },
       { id: 'lineAngle',  display: 'lineAngleValue',  suffix: '°' },
       { id: 'randomness', display: 'randomnessValue', suffix: '%' },
+      { id: 'squiggleSmoothing', display: 'squiggleSmoothingValue', suffix: '%' },
+      { id: 'spiralCenterX', display: 'spiralCenterXValue', suffix: '%' },
+      { id: 'spiralCenterY', display: 'spiralCenterYValue', suffix: '%' },
+      { id: 'tspTimeBudget', display: 'tspTimeBudgetValue', suffix: 's' },
+      { id: 'stippleIterations', display: 'stippleIterationsValue', suffix: '' },
+      { id: 'flowBlur',   display: 'flowBlurValue',   suffix: 'px' },
       { id: 'contrast',   display: 'contrastValue',   suffix: '%' },
       { id: 'strokeWidth', display: 'strokeWidthValue', suffix: 'px', fixed: 1 },
+      { id: 'penWidth',   display: 'penWidthValue',   suffix: 'px', fixed: 1 },
+      { id: 'hatchAngle', display: 'hatchAngleValue', suffix: '°' },
+      { id: 'mergeTolerance', display: 'mergeToleranceValue', suffix: 'px', fixed: 1 },
+      { id: 'clipInset',  display: 'clipInsetValue',  suffix: '%' },
+      { id: 'knockoutTrap', display: 'knockoutTrapValue', suffix: 'px', fixed: 1 },
       { id: 'angleCyan',    display: 'angleCyanValue',    suffix: '°' },
       { id: 'angleMagenta', display: 'angleMagentaValue', suffix: '°' },
       { id: 'angleYellow',  display: 'angleYellowValue',  suffix: '°' },
@@ -122,11 +191,14 @@ class HalftoneApp {
       }
     });
 
-    const uiAffectingControls = ['patternType', 'colorMode', 'angleOffset', 'paperSize'];
+    const uiAffectingControls = [
+      'patternType', 'orderedMatrix', 'flowMode', 'colorMode', 'angleOffset', 'paperSize', 'fillStrategy', 'mergeLines', 'clipMode', 'knockoutEnabled',
+      'outputWidth', 'outputUnit', 'physicalSpacing', 'spacingUnit', 'tilingEnabled', 'exportFormat'
+    ];
     uiAffectingControls.forEach(id => {
       document.getElementById(id).addEventListener('change', this.updateUIForCurrentSettings.bind(this));
     });
-    document.querySelectorAll('input[name="renderStyle"]').forEach(radio => {
+    document.querySelectorAll('input[name="renderStyle"], input[name="unitMode"]').forEach(radio => {
       radio.addEventListener('change', this.updateUIForCurrentSettings.bind(this));
     });
 
@@ -158,8 +230,52 @@ class HalftoneApp {
 
     document.getElementById('lineAngle').closest('.control-group').style.display = ['line', 'crosshatch', 'wave'].includes(patternType) ? 'block' : 'none';
     document.getElementById('randomnessGroup').style.display = ['stochastic', 'stipple', 'voronoi'].includes(patternType) ? 'block' : 'none';
+    document.getElementById('ditherGroup').classList.toggle('hidden', patternType !== 'dither');
+    document.getElementById('orderedGroup').classList.toggle('hidden', patternType !== 'ordered');
+    document.getElementById('blueNoiseGroup').classList.toggle('hidden', document.getElementById('orderedMatrix').value !== 'blue-noise');
+    document.getElementById('squiggleGroup').classList.toggle('hidden', patternType !== 'squiggle');
+    document.getElementById('spiralLineGroup').classList.toggle('hidden', patternType !== 'spiralLine');
+    document.getElementById('tspGroup').classList.toggle('hidden', patternType !== 'tsp');
+    document.getElementById('weightedStippleGroup').classList.toggle('hidden', patternType !== 'weightedStipple');
+    document.getElementById('voronoiModeGroup').classList.toggle('hidden', patternType !== 'voronoi');
+    document.getElementById('textGroup').classList.toggle('hidden', patternType !== 'text');
+    document.getElementById('flowFieldGroup').classList.toggle('hidden', patternType !== 'flowfield');
+    document.getElementById('flowStreamlineGroup').classList.toggle('hidden', document.getElementById('flowMode').value !== 'streamlines');
+
+    // In physical units mode the pen tip width replaces the pixel-based size, spacing and width sliders.
+    const isPhysical = document.querySelector('input[name="unitMode"]:checked').value === 'physical';
+    document.getElementById('physicalUnitsGroup').classList.toggle('hidden', !isPhysical);
+    document.getElementById('dotSizeGroup').style.display = isPhysical ? 'none' : 'block';
+    document.getElementById('spacingGroup').style.display = isPhysical ? 'none' : 'block';
+    if (isPhysical) {
+      const physical = this.getPhysicalSettings();
+      document.getElementById('workingResolution').textContent = physical
+        ? `Working resolution: ${physical.workingWidth} × ${physical.workingHeight}px (${physical.pxPerMm.toFixed(2)}px/mm)`
+        : 'The working resolution is set when an image is loaded.';
+    }
 
-    document.getElementById('strokeWidthGroup').style.display = renderStyle === 'stroke' ? 'block' : 'none';
+    document.getElementById('strokeWidthGroup').style.display = renderStyle === 'stroke' && !isPhysical ? 'block' : 'none';
+    const fillStrategy = document.getElementById('fillStrategy').value;
+    const usesPenFill = renderStyle === 'fill' && fillStrategy !== 'solid';
+    document.getElementById('fillStrategyGroup').style.display = renderStyle === 'fill' ? 'block' : 'none';
+    document.getElementById('penWidthGroup').style.display = usesPenFill && !isPhysical ? 'block' : 'none';
+    document.getElementById('hatchAngleGroup').style.display = usesPenFill && fillStrategy === 'hatch' ? 'block' : 'none';
+    document.getElementById('mergeToleranceGroup').style.display = document.getElementById('mergeLines').checked ? 'block' : 'none';
+    document.getElementById('clipInsetGroup').style.display = document.getElementById('clipMode').value === 'none' ? 'none' : 'block';
+    document.getElementById('knockoutGroup').classList.toggle('hidden', !document.getElementById('knockoutEnabled').checked);
+
+    const paperSize = document.getElementById('paperSize').value;
+    document.getElementById('customPaperGroup').classList.toggle('hidden', paperSize !== 'custom');
+    document.getElementById('paperLayoutGroup').classList.toggle('hidden', paperSize === 'image');
+    // Tiles are written as SVG, PDF, G-code or HPGL sheets, so the raster formats are unavailable while tiling.
+    const isTiling = paperSize !== 'image' && document.getElementById('tilingEnabled').checked;
+    const exportFormat = document.getElementById('exportFormat');
+    exportFormat.querySelectorAll('option[value="png"], option[value="tiff"]').forEach(option => {
+      option.disabled = isTiling;
+    });
+    if (isTiling && ['png', 'tiff'].includes(exportFormat.value)) exportFormat.value = 'svg';
+    document.getElementById('rasterSettingsGroup').classList.toggle('hidden', !['png', 'tiff'].includes(exportFormat.value));
+    document.getElementById('tilingGroup').classList.toggle('hidden', !isTiling);
 
     const numChannels = { monochrome: 1, duotone: 2, tritone: 3, cmyk: 4 }[colorMode];
     const colorLabels = {
@@ -195,6 +311,20 @@ class HalftoneApp {
         }
       }
     }
+
+    if (patternType === 'text') {
+      const textLabels = {
+        monochrome: ['Key Characters'], duotone: ['Tone 1 Characters', 'Tone 2 Characters'],
+        tritone: ['Shadows Characters', 'Midtones Characters', 'Highlights Characters'],
+        cmyk: ['Cyan Characters', 'Magenta Characters', 'Yellow Characters', 'Black Characters']
+      };
+      for (let i = 0; i < 4; i++) {
+        document.getElementById(`text-group-${uiChannelIds[i]}`).style.display = i < numChannels ? '' : 'none';
+        if (i < numChannels) {
+          document.getElementById(`text-label-${uiChannelIds[i]}`).textContent = textLabels[colorMode][i];
+        }
+      }
+    }
   }
 
   /**
@@ -282,6 +412,7 @@ class HalftoneApp {
         document.getElementById('resultsContainer').classList.remove('hidden');
         this.displayOriginalImage(); // Display original image for compare view
         this.autoAdjustSpacing();
+        this.updateUIForCurrentSettings();
         this.processImage(); // Automatically process the image on first upload
       };
       this.uploadedImage.src = e.target.result;
@@ -289,6 +420,49 @@ class HalftoneApp {
     reader.readAsDataURL(file);
   }
 
+  /**
+   * Loads a blue-noise texture as the threshold mask for ordered dithering. Pixels are ranked
+   * by brightness, so the thresholds are evenly spread even if the texture's histogram is not.
+   * The image is processed again when the ordered pattern is set to use the mask.
+   * @param {File} file - The image file of the texture.
+   */
+  loadBlueNoiseMask(file) {
+    if (!file.type.startsWith('image/')) {
+      alert('Please choose an image file for the blue-noise mask.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const image = new Image();
+      image.onload = () => {
+        const { width, height } = image;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        canvas.width = width;
+        canvas.height = height;
+        ctx.drawImage(image, 0, 0);
+        const { data } = ctx.getImageData(0, 0, width, height);
+
+        const count = width * height;
+        const brightness = (pixel) => data[pixel * 4] + data[pixel * 4 + 1] + data[pixel * 4 + 2];
+        const order = Array.from({ length: count }, (_, pixel) => pixel).sort((a, b) => brightness(a) - brightness(b));
+        const thresholds = new Array(count);
+        order.forEach((pixel, rank) => { thresholds[pixel] = (rank + 0.5) / count; });
+
+        this.blueNoiseMask = { width, height, thresholds };
+        document.getElementById('blueNoiseStatus').textContent = `Loaded a ${width} × ${height} mask.`;
+        document.querySelector('#orderedMatrix option[value="blue-noise"]').textContent = `Blue Noise (${width} × ${height} mask)`;
+        // The result on screen was dithered with the Bayer fallback, so redraw it with the mask.
+        const usesMask = document.getElementById('patternType').value === 'ordered' && document.getElementById('orderedMatrix').value === 'blue-noise';
+        if (this.uploadedImage && usesMask) {
+          this.processImage();
+        }
+      };
+      image.src = e.target.result;
+    };
+    reader.readAsDataURL(file);
+  }
+
   /**
    * Automatically suggests a 'Spacing' value based on the uploaded image's dimensions.
    */
@@ -303,6 +477,40 @@ class HalftoneApp {
     spacingDisplay.textContent = `${suggestedSpacing}px`;
   }
 
+  /**
+   * Works out the working resolution for physical units mode. The image is resampled so that
+   * the halftone spacing is a whole number of pixels (between 4 and 12) and every physical
+   * size (dot size, pen width) maps to an exact pixel size. A screen too fine for 4 pixels per
+   * cell at `MAX_WORKING_WIDTH` gets a smaller, fractional spacing instead, so the width limit always holds.
+   * @returns {{pxPerMm: number, spacingPx: number, widthMm: number, heightMm: number, workingWidth: number, workingHeight: number}|null}
+   * The physical settings, or null in pixel mode or when no image is loaded.
+   */
+  getPhysicalSettings() {
+    const unitMode = document.querySelector('input[name="unitMode"]:checked').value;
+    if (unitMode !== 'physical' || !this.uploadedImage) return null;
+
+    const outputWidth = parseFloat(document.getElementById('outputWidth').value) || 200;
+    const requestedWidthMm = outputWidth * (document.getElementById('outputUnit').value === 'in' ? 25.4 : 1);
+    const spacingValue = parseFloat(document.getElementById('physicalSpacing').value) || 2;
+    const spacingMm = document.getElementById('spacingUnit').value === 'lpi' ? 25.4 / spacingValue : spacingValue;
+
+    const cellsAcross = requestedWidthMm / spacingMm;
+    const wholeSpacingPx = Math.max(4, Math.min(12, Math.floor(HalftoneApp.MAX_WORKING_WIDTH / cellsAcross)));
+    const spacingPx = Math.min(wholeSpacingPx, (HalftoneApp.MAX_WORKING_WIDTH / requestedWidthMm) * spacingMm);
+    const pxPerMm = spacingPx / spacingMm;
+    const workingWidth = Math.max(1, Math.min(HalftoneApp.MAX_WORKING_WIDTH, Math.round(requestedWidthMm * pxPerMm)));
+    const workingHeight = Math.max(1, Math.round(workingWidth * this.uploadedImage.height / this.uploadedImage.width));
+
+    return {
+      pxPerMm,
+      spacingPx,
+      widthMm: workingWidth / pxPerMm,
+      heightMm: workingHeight / pxPerMm,
+      workingWidth,
+      workingHeight
+    };
+  }
+
   /**
    * Gathers all current settings from the control panel into a configuration object.
    * @returns {object} The configuration object for the image processing.
@@ -338,19 +546,113 @@ class HalftoneApp {
         angles[name] = parseInt(document.getElementById(uiAngleIds[i]).value, 10) || 0;
       });
     }
-    return {
+    const glyphTexts = {};
+    const glyphSizes = {};
+    const uiGlyphIds = ['Cyan', 'Magenta', 'Yellow', 'Black'];
+    channelNames.forEach((name, i) => {
+      glyphTexts[name] = document.getElementById(`glyphText${uiGlyphIds[i]}`).value;
+      glyphSizes[name] = parseInt(document.getElementById(`glyphSize${uiGlyphIds[i]}`).value, 10) || 100;
+    });
+    const config = {
       patternType: document.getElementById('patternType').value,
       dotSize: parseInt(document.getElementById('dotSize').value, 10),
       spacing: parseInt(document.getElementById('spacing').value, 10),
       lineAngle: parseInt(document.getElementById('lineAngle').value, 10),
       randomness: parseInt(document.getElementById('randomness').value, 10),
+      ditherAlgorithm: document.getElementById('ditherAlgorithm').value,
+      ditherSerpentine: document.getElementById('ditherSerpentine').checked,
+      ditherMark: document.getElementById('ditherMark').value,
+      orderedMatrix: document.getElementById('orderedMatrix').value,
+      orderedMask: document.getElementById('orderedMatrix').value === 'blue-noise' ? this.blueNoiseMask : null,
+      orderedMark: document.getElementById('orderedMark').value,
+      squiggleSmoothing: parseInt(document.getElementById('squiggleSmoothing').value, 10) || 0,
+      spiralModulation: document.getElementById('spiralModulation').value,
+      spiralCenterX: parseInt(document.getElementById('spiralCenterX').value, 10),
+      spiralCenterY: parseInt(document.getElementById('spiralCenterY').value, 10),
+      tspTimeBudget: parseInt(document.getElementById('tspTimeBudget').value, 10) || 5,
+      stippleIterations: parseInt(document.getElementById('stippleIterations').value, 10) || 0,
+      stippleDensityRadius: document.getElementById('stippleDensityRadius').checked,
+      voronoiMode: document.getElementById('voronoiMode').value,
+      textMode: document.getElementById('textMode').value,
+      glyphTexts: glyphTexts,
+      glyphSizes: glyphSizes,
+      flowMode: document.getElementById('flowMode').value,
+      flowBlur: parseInt(document.getElementById('flowBlur').value, 10) || 0,
+      flowPerpendicular: document.getElementById('flowPerpendicular').checked,
       contrast: parseInt(document.getElementById('contrast').value, 10),
       colorMode: colorMode,
       renderStyle: document.querySelector('input[name="renderStyle"]:checked').value,
       strokeWidth: parseFloat(document.getElementById('strokeWidth').value),
+      fillStrategy: document.getElementById('fillStrategy').value,
+      penWidth: parseFloat(document.getElementById('penWidth').value),
+      hatchAngle: parseInt(document.getElementById('hatchAngle').value, 10),
+      mergeLines: document.getElementById('mergeLines').checked,
+      mergeTolerance: parseFloat(document.getElementById('mergeTolerance').value),
+      clipping: {
+        mode: document.getElementById('clipMode').value,
+        inset: parseInt(document.getElementById('clipInset').value, 10) || 0
+      },
+      knockout: {
+        enabled: document.getElementById('knockoutEnabled').checked,
+        priority: document.getElementById('knockoutPriority').value,
+        trap: parseFloat(document.getElementById('knockoutTrap').value) || 0
+      },
       colors: colors, channelNames: channelNames, angles: angles,
       paperSize: document.getElementById('paperSize').value,
+      paper: {
+        orientation: document.querySelector('input[name="paperOrientation"]:checked').value,
+        margin: document.getElementById('paperMargin').value === '' ? null : Math.max(0, parseFloat(document.getElementById('paperMargin').value) || 0),
+        alignment: document.getElementById('paperAlignment').value,
+        customWidth: parseFloat(document.getElementById('customPaperWidth').value) || 300,
+        customHeight: parseFloat(document.getElementById('customPaperHeight').value) || 300,
+        customUnit: document.getElementById('customPaperUnit').value,
+        registrationMarks: document.getElementById('registrationMarks').checked,
+        cropMarks: document.getElementById('cropMarks').checked
+      },
+      tiling: {
+        enabled: document.getElementById('tilingEnabled').checked,
+        columns: parseInt(document.getElementById('tileColumns').value, 10) || 1,
+        rows: parseInt(document.getElementById('tileRows').value, 10) || 1,
+        overlap: Math.max(0, parseFloat(document.getElementById('tileOverlap').value) || 0),
+        keepWhole: document.getElementById('tileKeepWhole').checked
+      },
+      exportFormat: document.getElementById('exportFormat').value,
+      pdfLayout: document.getElementById('pdfLayout').value,
+      raster: {
+        dpi: parseInt(document.getElementById('rasterDpi').value, 10) || 300,
+        width: Math.max(0, parseFloat(document.getElementById('rasterWidth').value) || 0),
+        background: document.getElementById('rasterBackground').value,
+        paperColor: document.getElementById('rasterPaperColor').value
+      },
+      optimizePaths: document.getElementById('optimizePaths').checked,
+      layerPauses: document.getElementById('layerPauses').checked,
+      gcode: {
+        feedRate: parseFloat(document.getElementById('feedRate').value) || 1500,
+        travelRate: parseFloat(document.getElementById('travelRate').value) || 3000,
+        penUp: document.getElementById('penUpCommand').value.trim(),
+        penDown: document.getElementById('penDownCommand').value.trim(),
+        origin: document.getElementById('gcodeOrigin').value
+      },
+      estimator: {
+        drawSpeed: parseFloat(document.getElementById('drawSpeed').value) || 25,
+        travelSpeed: parseFloat(document.getElementById('travelSpeed').value) || 75,
+        acceleration: parseFloat(document.getElementById('acceleration').value) || 500,
+        penLiftTime: parseFloat(document.getElementById('penLiftTime').value) || 0
+      },
+      physical: null,
     };
+
+    // In physical units mode every size is given in millimetres and converted to working pixels.
+    const physical = this.getPhysicalSettings();
+    if (physical) {
+      const penWidthPx = (parseFloat(document.getElementById('penTipWidth').value) || 0.3) * physical.pxPerMm;
+      config.spacing = physical.spacingPx;
+      config.dotSize = (parseFloat(document.getElementById('physicalDotSize').value) || 1) * physical.pxPerMm;
+      config.strokeWidth = penWidthPx;
+      config.penWidth = penWidthPx;
+      config.physical = { pxPerMm: physical.pxPerMm, widthMm: physical.widthMm, heightMm: physical.heightMm };
+    }
+    return config;
   }
 
   /**
@@ -362,9 +664,13 @@ class HalftoneApp {
       return;
     }
     const config = this.getProcessingConfig();
+    const physical = this.getPhysicalSettings();
+    this.workingSize = physical
+      ? { width: physical.workingWidth, height: physical.workingHeight }
+      : { width: this.uploadedImage.width, height: this.uploadedImage.height };
     this.setProcessingState(true);
     setTimeout(() => {
-      const imageData = this.getImageData();
+      const imageData = this.getImageData(this.workingSize.width, this.workingSize.height);
       if (!imageData) {
         this.setProcessingState(false);
         return;
@@ -380,12 +686,17 @@ class HalftoneApp {
    * @param {MessageEvent} e - The event from the worker.
    * @param {object} e.data - The data payload.
    * @param {string} e.data.channel - The name of the processed channel.
-   * @param {string} e.data.svg - The generated SVG string for the channel.
+   * @param {number} [e.data.progress] - Set on progress reports of long-running patterns, from 0 to 1.
+   * @param {object} e.data.geometry - The generated geometry for the channel (see `HalftonePatterns.generatePattern`).
    * @param {ImageBitmap} e.data.imageBitmap - The rendered canvas bitmap for the channel.
    */
   handleWorkerMessage(e) {
-    const { channel, svg, imageBitmap } = e.data;
-    this.exporter.storeSVG(channel, svg);
+    if (e.data.progress !== undefined) {
+      this.showProgress(e.data.channel, e.data.progress);
+      return;
+    }
+    const { channel, geometry, imageBitmap } = e.data;
+    this.exporter.storeGeometry(channel, geometry);
     this.workerResults[channel] = { imageBitmap };
 
     // Ensure a hidden canvas exists for this channel and draw the bitmap to it.
@@ -403,7 +714,9 @@ class HalftoneApp {
     // Check if all channels have been processed
     if (Object.keys(this.workerResults).length === this.expectedWorkerResults) {
       const config = this.getProcessingConfig();
-      this.generateCombinedPreview(config.channelNames, config.colors);
+      this.generateCombinedPreview(config.channelNames);
+      this.clearPlotAnalysis();
+      this.updateTravelReport(config);
       this.setProcessingState(false);
     }
   }
@@ -421,6 +734,9 @@ class HalftoneApp {
     // For styling purposes, you might want to add a class to the sidebar
     document.querySelector('.sidebar').classList.toggle('processing', isProcessing);
 
+    document.getElementById('loadingMessage').textContent = 'Processing...';
+    document.getElementById('loadingProgress').classList.add('hidden');
+
     if (isProcessing) {
       processBtn.classList.add('loading');
       processBtn.innerHTML = 'Processing...';
@@ -430,6 +746,20 @@ class HalftoneApp {
     }
   }
 
+  /**
+   * Shows the progress of a long-running pattern, such as the TSP tour solver, in the loading overlay.
+   * @param {string} channel - The name of the channel being processed.
+   * @param {number} progress - The fraction completed, from 0 to 1.
+   */
+  showProgress(channel, progress) {
+    const done = Object.keys(this.workerResults).length;
+    document.getElementById('loadingMessage').textContent =
+      `Processing ${channel} (${done + 1}/${this.expectedWorkerResults}): ${Math.round(progress * 100)}%`;
+    const progressBar = document.getElementById('loadingProgress');
+    progressBar.classList.remove('hidden');
+    progressBar.value = progress;
+  }
+
   /**
    * Displays the original uploaded image on the canvas used for comparison.
    */
@@ -442,15 +772,18 @@ class HalftoneApp {
   }
 
   /**
-   * Extracts pixel data from the uploaded image using a temporary canvas.
+   * Extracts pixel data from the uploaded image using a temporary canvas, resampling it to the requested size.
+   * @param {number} [width=this.uploadedImage.width] - The width to resample to.
+   * @param {number} [height=this.uploadedImage.height] - The height to resample to.
    * @returns {ImageData|null} The ImageData object or null on error.
    */
-  getImageData() {
+  getImageData(width = this.uploadedImage.width, height = this.uploadedImage.height) {
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    canvas.width = this.uploadedImage.width;
-    canvas.height = this.uploadedImage.height;
-    ctx.drawImage(this.uploadedImage, 0, 0);
+    canvas.width = width;
+    canvas.height = height;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(this.uploadedImage, 0, 0, width, height);
     try {
       return ctx.getImageData(0, 0, canvas.width, canvas.height);
     } catch (e) {
@@ -463,9 +796,8 @@ class HalftoneApp {
   /**
    * Renders the combined, multi-color halftone preview by overlaying the individual channel canvases.
    * @param {string[]} channelNames - The list of channel names to combine.
-   * @param {Object.<string, string>} colors - A map of channel names to hex color codes.
    */
-  generateCombinedPreview(channelNames, colors) {
+  generateCombinedPreview(channelNames) {
     const canvases = [
       document.getElementById('combinedCanvas'),
       document.getElementById('combinedCanvas-compare')
@@ -473,8 +805,8 @@ class HalftoneApp {
     canvases.forEach(canvas => {
       if (!canvas) return;
       const ctx = canvas.getContext('2d');
-      canvas.width = this.uploadedImage.width;
-      canvas.height = this.uploadedImage.height;
+      canvas.width = this.workingSize.width;
+      canvas.height = this.workingSize.height;
       ctx.fillStyle = 'white';
       ctx.fillRect(0, 0, canvas.width, canvas.height);
       ctx.globalCompositeOperation = 'multiply';
@@ -484,7 +816,6 @@ class HalftoneApp {
       });
       ctx.globalCompositeOperation = 'source-over'; // Reset composite mode
     });
-    this.exporter.generateCombinedSVG(canvases[0].width, canvases[0].height, channelNames, colors);
   }
 
   /**
@@ -497,11 +828,145 @@ class HalftoneApp {
   }
 
   /**
-   * Public method to trigger download of all channels.
+   * Runs the plot estimator on the current result and shows a per-channel summary table.
+   */
+  updatePlotAnalysis() {
+    const config = this.getProcessingConfig();
+    const rows = this.plotEstimator.estimate(config);
+    if (rows.length === 0) {
+      this.clearPlotAnalysis();
+      return;
+    }
+    const formatLength = (mm) => mm >= 1000 ? `${(mm / 1000).toFixed(2)} m` : `${mm.toFixed(0)} mm`;
+    const total = rows.reduce((sum, row) => ({
+      elements: sum.elements + row.elements, penLifts: sum.penLifts + row.penLifts,
+      penDown: sum.penDown + row.penDown, penUp: sum.penUp + row.penUp, time: sum.time + row.time
+    }), { elements: 0, penLifts: 0, penDown: 0, penUp: 0, time: 0 });
+
+    let html = '<table class="analysis-table"><thead><tr>';
+    html += '<th>Channel</th><th>Elements</th><th>Pen Lifts</th><th>Pen Down</th><th>Pen-Up Travel</th><th>Est. Time</th><th>Ink Coverage</th>';
+    html += '</tr></thead><tbody>';
+    rows.forEach(row => {
+      html += `<tr><td>${row.channel}</td><td>${row.elements.toLocaleString()}</td><td>${row.penLifts.toLocaleString()}</td>`;
+      html += `<td>${formatLength(row.penDown)}</td><td>${formatLength(row.penUp)}</td><td>${this.formatDuration(row.time)}</td><td>${row.coverage.toFixed(1)}%</td></tr>`;
+    });
+    html += '</tbody><tfoot><tr>';
+    html += `<td>Total</td><td>${total.elements.toLocaleString()}</td><td>${total.penLifts.toLocaleString()}</td>`;
+    html += `<td>${formatLength(total.penDown)}</td><td>${formatLength(total.penUp)}</td><td>${this.formatDuration(total.time)}</td><td></td>`;
+    html += '</tr></tfoot></table>';
+    document.getElementById('analysisResults').innerHTML = html;
+  }
+
+  /**
+   * Resets the plot analysis panel, e.g. after the result has changed.
+   */
+  clearPlotAnalysis() {
+    document.getElementById('analysisResults').innerHTML =
+      '<p class="analysis-hint">Estimate pen distance, plot time and ink coverage for the current result.</p>';
+  }
+
+  /**
+   * Formats a duration as hours, minutes and seconds.
+   * @param {number} seconds - The duration in seconds.
+   * @returns {string} The formatted duration, e.g. "2h 05m" or "4m 30s".
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+    return `${secs}s`;
+  }
+
+  /**
+   * Shows the travel savings of the pen path order, found by the worker during processing, in the results footer.
+   * Only applies to the plotter formats, where pen-up travel costs plotting time.
+   * @param {object} config - The current processing configuration.
+   */
+  updateTravelReport(config) {
+    const reportElement = document.getElementById('travelReport');
+    const isPlotterFormat = ['gcode', 'hpgl'].includes(config.exportFormat);
+    const report = isPlotterFormat ? this.exporter.getTravelReport(config) : [];
+    if (report.length === 0) {
+      reportElement.classList.add('hidden');
+      return;
+    }
+    reportElement.innerHTML = '<strong>Pen-up travel:</strong>' + report.map(({ channel, before, after, unit }) => {
+      const saving = before > 0 ? ((before - after) / before * 100).toFixed(0) : 0;
+      return `<span>${channel}: ${before.toFixed(0)} → ${after.toFixed(0)}${unit} (−${saving}%)</span>`;
+    }).join('');
+    reportElement.classList.remove('hidden');
+  }
+
+  /**
+   * Public method to trigger download of the combined output in the selected export format.
+   */
+  downloadCombined() {
+    const config = this.getProcessingConfig();
+    if (this.isTiling(config)) {
+      this.tileExporter.downloadTiles('combined', config);
+      return;
+    }
+    this.updateTravelReport(config);
+    switch (config.exportFormat) {
+      case 'gcode':
+        this.gcodeExporter.downloadGCode('combined', config);
+        break;
+      case 'hpgl':
+        this.hpglExporter.downloadHPGL('combined', config);
+        break;
+      case 'pdf':
+        this.pdfExporter.downloadPDF('combined', config);
+        break;
+      case 'png':
+      case 'tiff':
+        this.rasterExporter.downloadRaster('combined', config, config.exportFormat).catch(error => alert(error.message));
+        break;
+      case 'svg':
+      default:
+        this.exporter.downloadSVG('combined', config);
+    }
+  }
+
+  /**
+   * Checks whether downloads should be split into tile sheets.
+   * @param {object} config - The application configuration.
+   * @returns {boolean} True if tiling is enabled and a paper size is selected.
+   */
+  isTiling(config) {
+    return config.tiling.enabled && config.paperSize !== 'image';
+  }
+
+  /**
+   * Public method to trigger download of all channels in the selected export format.
    */
   downloadAllChannels() {
     const config = this.getProcessingConfig();
-    this.exporter.downloadAllChannels(config);
+    if (this.isTiling(config)) {
+      this.tileExporter.downloadAllChannels(config);
+      return;
+    }
+    this.updateTravelReport(config);
+    switch (config.exportFormat) {
+      case 'gcode':
+        this.gcodeExporter.downloadAllChannels(config);
+        break;
+      case 'hpgl':
+        this.hpglExporter.downloadAllChannels(config);
+        break;
+      case 'pdf':
+        this.pdfExporter.downloadAllChannels(config);
+        break;
+      case 'png':
+      case 'tiff':
+        this.rasterExporter.downloadAllChannels(config, config.exportFormat).catch(error => alert(error.message));
+        break;
+      case 'svg':
+      default:
+        this.exporter.downloadAllChannels(config);
+    }
   }
 }
 
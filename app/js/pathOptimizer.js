@@ -0,0 +1,524 @@
+/**
+ * @file Reorders pen paths to reduce pen-up travel on a plotter.
+ * The generators emit shapes in raster scan order; this module finds a shorter
+ * drawing order with a greedy nearest-neighbour pass followed by 2-opt improvement,
+ * reversing open paths where that saves travel. The same construction, with 2-opt and
+ * Or-opt moves over nearest-neighbour candidate lists, also solves the travelling-salesman
+ * tours drawn by the TSP art pattern.
+ */
+
+/**
+ * A class that computes an efficient drawing order for a list of polylines.
+ * Results are expressed as an order and per-path reversal flags, so they can be
+ * applied to any copy of the same polylines (e.g. after scaling to paper units).
+ */
+class PathOptimizer {
+  /**
+   * The number of nearest neighbours considered for each point when improving a tour.
+   * @type {number}
+   */
+  static TOUR_NEIGHBOURS = 8;
+
+  /**
+   * Initializes the PathOptimizer.
+   * @param {object} [options={}] - Optimization options.
+   * @param {number} [options.timeBudget=1000] - The maximum time in milliseconds to spend on 2-opt improvement.
+   * @param {number} [options.windowSize=400] - How many positions ahead 2-opt looks for an improving reversal.
+   */
+  constructor(options = {}) {
+    /**
+     * The maximum time in milliseconds spent on 2-opt improvement per call.
+     * @type {number}
+     */
+    this.timeBudget = options.timeBudget ?? 1000;
+
+    /**
+     * How many positions ahead 2-opt considers. Limiting the window keeps each
+     * pass close to linear for the tens of thousands of dots a stipple produces.
+     * @type {number}
+     */
+    this.windowSize = options.windowSize ?? 400;
+  }
+
+  /**
+   * Finds a drawing order for the given polylines that reduces pen-up travel.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} polylines - The paths to order.
+   * @param {{x: number, y: number}} [start={x: 0, y: 0}] - Where the pen starts.
+   * @returns {{order: number[], reversed: boolean[], before: number, after: number}}
+   * The new order (indices into `polylines`), whether each path is drawn backwards,
+   * and the pen-up travel distance before and after optimization.
+   */
+  optimize(polylines, start = { x: 0, y: 0 }) {
+    const endpoints = polylines.map(polyline => this.getEndpoints(polyline));
+    const identity = endpoints.map((_, i) => i);
+    const notReversed = endpoints.map(() => false);
+    const before = this.measureTravel(endpoints, identity, notReversed, start);
+
+    if (endpoints.length < 2) {
+      return { order: identity, reversed: notReversed, before, after: before };
+    }
+
+    const { order, reversed } = this.nearestNeighbourOrder(endpoints, start);
+    this.twoOpt(endpoints, order, reversed, start);
+    const after = this.measureTravel(endpoints, order, reversed, start);
+
+    // Never make things worse than the original scan order.
+    if (after >= before) {
+      return { order: identity, reversed: notReversed, before, after: before };
+    }
+    return { order, reversed, before, after };
+  }
+
+  /**
+   * Applies an optimization result to a list of polylines.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} polylines - The original polylines.
+   * @param {{order: number[], reversed: boolean[]}} result - The result of `optimize`.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The reordered polylines.
+   */
+  static applyOrder(polylines, result) {
+    return result.order.map(index => {
+      const polyline = polylines[index];
+      return result.reversed[index] ? { ...polyline, points: polyline.points.slice().reverse() } : polyline;
+    });
+  }
+
+  /**
+   * Extracts the entry and exit points of a polyline. A closed path starts and ends at the same point.
+   * @param {{points: Array<{x: number, y: number}>, closed: boolean}} polyline - The polyline.
+   * @returns {{start: {x: number, y: number}, end: {x: number, y: number}, closed: boolean}} The endpoints.
+   */
+  getEndpoints(polyline) {
+    const start = polyline.points[0];
+    const end = polyline.closed ? start : polyline.points[polyline.points.length - 1];
+    return { start, end, closed: polyline.closed };
+  }
+
+  /**
+   * Returns the point where the pen enters a path.
+   * @param {object} endpoint - The path's endpoints.
+   * @param {boolean} reversed - Whether the path is drawn backwards.
+   * @returns {{x: number, y: number}} The entry point.
+   */
+  entry(endpoint, reversed) {
+    return reversed ? endpoint.end : endpoint.start;
+  }
+
+  /**
+   * Returns the point where the pen leaves a path.
+   * @param {object} endpoint - The path's endpoints.
+   * @param {boolean} reversed - Whether the path is drawn backwards.
+   * @returns {{x: number, y: number}} The exit point.
+   */
+  exit(endpoint, reversed) {
+    return reversed ? endpoint.start : endpoint.end;
+  }
+
+  /**
+   * Calculates the Euclidean distance between two points.
+   * @param {{x: number, y: number}} a - The first point.
+   * @param {{x: number, y: number}} b - The second point.
+   * @returns {number} The distance.
+   */
+  distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Measures the total pen-up travel for a given order.
+   * @param {object[]} endpoints - The endpoints of every path.
+   * @param {number[]} order - The drawing order.
+   * @param {boolean[]} reversed - Reversal flags, indexed by path.
+   * @param {{x: number, y: number}} start - Where the pen starts.
+   * @returns {number} The travel distance.
+   */
+  measureTravel(endpoints, order, reversed, start) {
+    let travel = 0;
+    let position = start;
+    order.forEach(index => {
+      travel += this.distance(position, this.entry(endpoints[index], reversed[index]));
+      position = this.exit(endpoints[index], reversed[index]);
+    });
+    return travel;
+  }
+
+  /**
+   * Builds an initial order by repeatedly moving to the closest unvisited path end.
+   * A uniform grid over the endpoints keeps each lookup close to constant time.
+   * @param {object[]} endpoints - The endpoints of every path.
+   * @param {{x: number, y: number}} start - Where the pen starts.
+   * @returns {{order: number[], reversed: boolean[]}} The greedy order and reversal flags.
+   */
+  nearestNeighbourOrder(endpoints, start) {
+    const count = endpoints.length;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    endpoints.forEach(({ start: s, end: e }) => {
+      minX = Math.min(minX, s.x, e.x); maxX = Math.max(maxX, s.x, e.x);
+      minY = Math.min(minY, s.y, e.y); maxY = Math.max(maxY, s.y, e.y);
+    });
+    const cellSize = Math.max(1e-6, Math.sqrt(((maxX - minX) * (maxY - minY)) / count) || (maxX - minX) || (maxY - minY) || 1);
+    const cols = Math.floor((maxX - minX) / cellSize) + 1;
+    const rows = Math.floor((maxY - minY) / cellSize) + 1;
+    const grid = new Array(cols * rows);
+
+    const cellOf = (p) => ({
+      col: Math.min(cols - 1, Math.max(0, Math.floor((p.x - minX) / cellSize))),
+      row: Math.min(rows - 1, Math.max(0, Math.floor((p.y - minY) / cellSize)))
+    });
+    const insert = (index, p) => {
+      const { col, row } = cellOf(p);
+      const key = row * cols + col;
+      (grid[key] || (grid[key] = [])).push(index);
+    };
+    endpoints.forEach((endpoint, i) => {
+      insert(i, endpoint.start);
+      if (!endpoint.closed) insert(i, endpoint.end);
+    });
+
+    const visited = new Uint8Array(count);
+    const order = [];
+    const reversed = new Array(count).fill(false);
+    let position = start;
+
+    for (let step = 0; step < count; step++) {
+      const { col, row } = cellOf(position);
+      let best = -1;
+      let bestReversed = false;
+      let bestDistance = Infinity;
+      const maxRing = Math.max(cols, rows);
+
+      for (let ring = 0; ring <= maxRing; ring++) {
+        // Points in this ring are at least (ring - 1) cells away, so stop once that exceeds the best match.
+        if (best !== -1 && (ring - 1) * cellSize > bestDistance) break;
+        for (let r = row - ring; r <= row + ring; r++) {
+          if (r < 0 || r >= rows) continue;
+          const onEdgeRow = r === row - ring || r === row + ring;
+          for (let c = col - ring; c <= col + ring; c += (onEdgeRow || ring === 0) ? 1 : 2 * ring) {
+            if (c < 0 || c >= cols) continue;
+            const cell = grid[r * cols + c];
+            if (!cell) continue;
+            // Compact the cell while scanning so visited paths are not checked again.
+            let write = 0;
+            for (let k = 0; k < cell.length; k++) {
+              const index = cell[k];
+              if (visited[index]) continue;
+              cell[write++] = index;
+              const endpoint = endpoints[index];
+              const toStart = this.distance(position, endpoint.start);
+              if (toStart < bestDistance) {
+                bestDistance = toStart; best = index; bestReversed = false;
+              }
+              if (!endpoint.closed) {
+                const toEnd = this.distance(position, endpoint.end);
+                if (toEnd < bestDistance) {
+                  bestDistance = toEnd; best = index; bestReversed = true;
+                }
+              }
+            }
+            cell.length = write;
+          }
+        }
+      }
+
+      visited[best] = 1;
+      reversed[best] = bestReversed;
+      order.push(best);
+      position = this.exit(endpoints[best], bestReversed);
+    }
+    return { order, reversed };
+  }
+
+  /**
+   * Improves an order in place with windowed 2-opt moves. Reversing a run of paths
+   * also flips the direction each open path in it is drawn, which is what makes
+   * the move effective for line work.
+   * @param {object[]} endpoints - The endpoints of every path.
+   * @param {number[]} order - The drawing order, modified in place.
+   * @param {boolean[]} reversed - Reversal flags indexed by path, modified in place.
+   * @param {{x: number, y: number}} start - Where the pen starts.
+   * @param {number} [deadline] - The `performance.now()` timestamp at which to stop.
+   */
+  twoOpt(endpoints, order, reversed, start, deadline = performance.now() + this.timeBudget) {
+    const count = order.length;
+    const exitOf = (position) => position < 0 ? start : this.exit(endpoints[order[position]], reversed[order[position]]);
+    const entryOf = (position) => this.entry(endpoints[order[position]], reversed[order[position]]);
+
+    let improved = true;
+    while (improved && performance.now() < deadline) {
+      improved = false;
+      for (let i = 0; i < count - 1; i++) {
+        if ((i & 63) === 0 && performance.now() >= deadline) return;
+        const beforeRun = exitOf(i - 1);
+        const runStart = entryOf(i);
+        const limit = Math.min(count - 1, i + this.windowSize);
+
+        for (let j = i + 1; j <= limit; j++) {
+          const runEnd = exitOf(j);
+          const afterRun = j + 1 < count ? entryOf(j + 1) : null;
+          // Reversing order[i..j] connects beforeRun to the old exit of j and the old entry of i to afterRun.
+          const oldCost = this.distance(beforeRun, runStart) + (afterRun ? this.distance(runEnd, afterRun) : 0);
+          const newCost = this.distance(beforeRun, runEnd) + (afterRun ? this.distance(runStart, afterRun) : 0);
+
+          if (newCost < oldCost - 1e-9) {
+            this.reverseRun(order, reversed, endpoints, i, j);
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Reverses the run `order[i..j]` in place and flips the direction of its open paths.
+   * @param {number[]} order - The drawing order.
+   * @param {boolean[]} reversed - Reversal flags indexed by path.
+   * @param {object[]} endpoints - The endpoints of every path.
+   * @param {number} i - The first position of the run.
+   * @param {number} j - The last position of the run.
+   */
+  reverseRun(order, reversed, endpoints, i, j) {
+    for (let left = i, right = j; left < right; left++, right--) {
+      const tmp = order[left];
+      order[left] = order[right];
+      order[right] = tmp;
+    }
+    for (let k = i; k <= j; k++) {
+      if (!endpoints[order[k]].closed) reversed[order[k]] = !reversed[order[k]];
+    }
+  }
+
+  /**
+   * Finds a short open tour through a set of points, as drawn by the TSP art pattern.
+   * A nearest-neighbour tour is improved with alternating 2-opt and Or-opt passes until
+   * neither finds a move or the time budget runs out.
+   * @param {Array<{x: number, y: number}>} points - The points to visit.
+   * @param {function(number): void} [onProgress] - Called with the fraction of the solve completed, from 0 to 1.
+   * @returns {Array<{x: number, y: number}>} The points in tour order.
+   */
+  solveTour(points, onProgress = () => {}) {
+    const count = points.length;
+    if (count < 4) {
+      onProgress(1);
+      return points.slice();
+    }
+    const began = performance.now();
+    const deadline = began + this.timeBudget;
+
+    // Every point is a closed path of zero length, so the greedy path ordering applies as is.
+    const endpoints = points.map(point => ({ start: point, end: point, closed: true }));
+    const tour = this.nearestNeighbourOrder(endpoints, points[0]).order;
+    const position = new Int32Array(count);
+    tour.forEach((point, i) => { position[point] = i; });
+    const neighbours = this.findNeighbours(points, PathOptimizer.TOUR_NEIGHBOURS);
+
+    let moves;
+    do {
+      moves = this.twoOptTour(points, tour, position, neighbours, deadline);
+      moves += this.orOptTour(points, tour, position, neighbours, deadline);
+      onProgress(Math.min(1, (performance.now() - began) / this.timeBudget));
+    } while (moves > 0 && performance.now() < deadline);
+
+    onProgress(1);
+    return tour.map(index => points[index]);
+  }
+
+  /**
+   * Finds the nearest neighbours of every point with a uniform grid.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {number} k - The number of neighbours per point.
+   * @returns {Int32Array[]} For each point, the indices of its neighbours, closest first.
+   */
+  findNeighbours(points, k) {
+    const count = points.length;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(({ x, y }) => {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+    // Size the cells to hold about two points each.
+    const cellSize = Math.max(1e-6, Math.sqrt((2 * (maxX - minX) * (maxY - minY)) / count) || (maxX - minX) || (maxY - minY) || 1);
+    const cols = Math.floor((maxX - minX) / cellSize) + 1;
+    const rows = Math.floor((maxY - minY) / cellSize) + 1;
+    const grid = new Array(cols * rows);
+    const colOf = (p) => Math.min(cols - 1, Math.floor((p.x - minX) / cellSize));
+    const rowOf = (p) => Math.min(rows - 1, Math.floor((p.y - minY) / cellSize));
+    points.forEach((p, i) => {
+      const key = rowOf(p) * cols + colOf(p);
+      (grid[key] || (grid[key] = [])).push(i);
+    });
+
+    const wanted = Math.min(k, count - 1);
+    return points.map((p, i) => {
+      const found = new Int32Array(wanted).fill(-1);
+      const foundDistance = new Float64Array(wanted).fill(Infinity);
+      const col = colOf(p);
+      const row = rowOf(p);
+      for (let ring = 0; ring <= Math.max(cols, rows); ring++) {
+        // Points in this ring are at least (ring - 1) cells away, so stop once that exceeds the k-th match.
+        if ((ring - 1) * cellSize > foundDistance[wanted - 1]) break;
+        for (let r = row - ring; r <= row + ring; r++) {
+          if (r < 0 || r >= rows) continue;
+          const onEdgeRow = r === row - ring || r === row + ring;
+          for (let c = col - ring; c <= col + ring; c += (onEdgeRow || ring === 0) ? 1 : 2 * ring) {
+            if (c < 0 || c >= cols) continue;
+            const cell = grid[r * cols + c];
+            if (!cell) continue;
+            for (let n = 0; n < cell.length; n++) {
+              const j = cell[n];
+              const distance = this.distance(p, points[j]);
+              if (j === i || distance >= foundDistance[wanted - 1]) continue;
+              // Insert into the sorted list of matches, dropping the farthest.
+              let slot = wanted - 1;
+              while (slot > 0 && foundDistance[slot - 1] > distance) {
+                found[slot] = found[slot - 1];
+                foundDistance[slot] = foundDistance[slot - 1];
+                slot--;
+              }
+              found[slot] = j;
+              foundDistance[slot] = distance;
+            }
+          }
+        }
+      }
+      return found;
+    });
+  }
+
+  /**
+   * Runs one pass of 2-opt over an open tour of points. Each move removes two edges and
+   * reverses the run between them; only moves that create an edge from a point to one of
+   * its nearest neighbours are tried, which keeps the pass close to linear.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {number[]} tour - The point indices in tour order, modified in place.
+   * @param {Int32Array} position - The position of each point in the tour, kept up to date.
+   * @param {Int32Array[]} neighbours - The nearest neighbours of each point.
+   * @param {number} deadline - The `performance.now()` timestamp at which to stop.
+   * @returns {number} The number of moves made.
+   */
+  twoOptTour(points, tour, position, neighbours, deadline) {
+    const count = tour.length;
+    // The length of the edge leaving position i; the open ends of the tour have no edge.
+    const edge = (i, j) => (i < 0 || j >= count) ? 0 : this.distance(points[tour[i]], points[tour[j]]);
+    let moves = 0;
+
+    for (let i = 0; i < count; i++) {
+      if ((i & 255) === 0 && performance.now() >= deadline) break;
+      const a = tour[i];
+      // An improving move must replace one of a's own edges with a shorter one.
+      const longest = Math.max(edge(i - 1, i), edge(i, i + 1));
+      const candidates = neighbours[a];
+      for (let n = 0; n < candidates.length; n++) {
+        const c = candidates[n];
+        if (this.distance(points[a], points[c]) >= longest) break;
+        const j = position[c];
+        // Reversing tour[x + 1..y] replaces the edges (x, x + 1) and (y, y + 1) with
+        // (x, y) and (x + 1, y + 1). Both choices of x and y below create the edge a–c.
+        const low = Math.min(i, j);
+        const high = Math.max(i, j);
+        const outer = edge(low, low + 1) + edge(high, high + 1) - edge(low, high) - edge(low + 1, high + 1);
+        const inner = edge(low - 1, low) + edge(high - 1, high) - edge(low - 1, high - 1) - edge(low, high);
+        if (outer > 1e-9 || inner > 1e-9) {
+          if (outer >= inner) {
+            this.reverseTour(tour, position, low + 1, high);
+          } else {
+            this.reverseTour(tour, position, low, high - 1);
+          }
+          moves++;
+          break;
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Runs one pass of Or-opt over an open tour of points. Each move takes out a run of up
+   * to three points and reinserts it, forwards or backwards, next to a nearest neighbour
+   * of one of its ends. This repairs the detours that 2-opt cannot.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {number[]} tour - The point indices in tour order, modified in place.
+   * @param {Int32Array} position - The position of each point in the tour, kept up to date.
+   * @param {Int32Array[]} neighbours - The nearest neighbours of each point.
+   * @param {number} deadline - The `performance.now()` timestamp at which to stop.
+   * @returns {number} The number of moves made.
+   */
+  orOptTour(points, tour, position, neighbours, deadline) {
+    const count = tour.length;
+    const point = (i) => points[tour[i]];
+    let moves = 0;
+
+    for (let i = 0; i < count; i++) {
+      if ((i & 255) === 0 && performance.now() >= deadline) break;
+
+      for (let length = 1; length <= 3 && i + length <= count; length++) {
+        const last = i + length - 1;
+        const first = point(i);
+        const end = point(last);
+        const before = i > 0 ? point(i - 1) : null;
+        const after = last + 1 < count ? point(last + 1) : null;
+        // What removing the run saves: its connections, less the edge that closes the gap.
+        let gain = (before ? this.distance(before, first) : 0) + (after ? this.distance(end, after) : 0);
+        if (before && after) gain -= this.distance(before, after);
+        if (gain <= 1e-9) continue;
+
+        let best = null;
+        for (let side = 0; side < 2; side++) {
+          const candidates = neighbours[tour[side === 0 ? i : last]];
+          for (let n = 0; n < candidates.length; n++) {
+            const neighbour = candidates[n];
+            // Neighbours farther away than the gain are unlikely to give a move.
+            if (this.distance(side === 0 ? first : end, points[neighbour]) >= gain) break;
+            const k = position[neighbour];
+            if (k >= i && k <= last) continue;
+            // Try inserting on both sides of the neighbour: between positions j and j + 1.
+            for (let j = k - 1; j <= k; j++) {
+              if (j >= i - 1 && j <= last) continue;
+              const a = j >= 0 ? point(j) : null;
+              const b = j + 1 < count ? point(j + 1) : null;
+              const base = a && b ? this.distance(a, b) : 0;
+              const forward = (a ? this.distance(a, first) : 0) + (b ? this.distance(end, b) : 0) - base;
+              const backward = (a ? this.distance(a, end) : 0) + (b ? this.distance(first, b) : 0) - base;
+              const cost = Math.min(forward, backward);
+              if (cost < gain - 1e-9 && (!best || cost < best.cost)) {
+                best = { j, cost, backward: backward < forward };
+              }
+            }
+          }
+        }
+
+        if (best) {
+          const run = tour.splice(i, length);
+          if (best.backward) run.reverse();
+          const at = best.j < i ? best.j + 1 : best.j + 1 - length;
+          tour.splice(at, 0, ...run);
+          for (let k = Math.min(i, at); k <= Math.max(last, at + length - 1); k++) position[tour[k]] = k;
+          moves++;
+          break;
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Reverses the run `tour[i..j]` of a point tour in place and updates the positions.
+   * @param {number[]} tour - The point indices in tour order.
+   * @param {Int32Array} position - The position of each point in the tour.
+   * @param {number} i - The first position of the run.
+   * @param {number} j - The last position of the run.
+   */
+  reverseTour(tour, position, i, j) {
+    for (let left = i, right = j; left < right; left++, right--) {
+      const tmp = tour[left];
+      tour[left] = tour[right];
+      tour[right] = tmp;
+      position[tour[left]] = left;
+      position[tour[right]] = right;
+    }
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.PathOptimizer = PathOptimizer;
@@ -0,0 +1,274 @@
+/**
+ * @file Writes vector PDF files from the halftone output.
+ * Every channel is painted in its own Separation (spot) color space, so the
+ * PDF separates cleanly into plates for screen printing and risograph.
+ */
+
+/**
+ * A class that converts the per-channel geometry held by an `SVGExporter`
+ * into a PDF document, either one page per channel or all channels
+ * overprinted on a single page.
+ */
+class PDFExporter {
+  /**
+   * PDF points per millimetre.
+   * @type {number}
+   */
+  static PT_PER_MM = 72 / 25.4;
+
+  /**
+   * The control point distance, relative to the radius, for a quarter circle drawn as a cubic Bézier curve.
+   * @type {number}
+   */
+  static KAPPA = 0.5522847498;
+
+  /**
+   * Initializes the PDFExporter.
+   * @param {SVGExporter} svgExporter - The exporter holding the generated geometry and paper settings.
+   */
+  constructor(svgExporter) {
+    /**
+     * The SVG exporter that provides channel geometry and paper fitting.
+     * @type {SVGExporter}
+     */
+    this.svgExporter = svgExporter;
+  }
+
+  /**
+   * Generates a PDF document for a channel or for all channels combined.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`.
+   * @param {object} config - The application configuration, including `colors`, paper settings
+   * and `pdfLayout` ('separate' for one page per channel, 'overprint' for a single page).
+   * @returns {string|null} The PDF file content, or null if there is no data for the channel.
+   */
+  generatePDF(channel, config) {
+    const channelLayers = this.svgExporter.getLayers(channel, config);
+    if (channelLayers.length === 0) return null;
+
+    const dimensions = this.svgExporter.getDimensions(channelLayers[0].channel);
+    const transform = this.svgExporter.getPhysicalTransform(dimensions.width, dimensions.height, config, dimensions.physical);
+    const marks = this.svgExporter.getPrintMarks(dimensions.width, dimensions.height, config, dimensions.physical);
+    return this.generateDocument(channelLayers, transform, marks, config, `Halftone ${channel}`);
+  }
+
+  /**
+   * Generates a PDF document from channel shapes placed on a page, for a whole page or a tile sheet.
+   * @param {Array<{channel: string, shapes: object[]}>} channelLayers - The channels to draw, with their shapes in image pixels.
+   * @param {{scale: number, xOffset: number, yOffset: number, unit: string, pageWidth: number, pageHeight: number}} transform
+   * The transform from image pixels to page units.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} marks - Marks in page units, drawn in the registration color.
+   * @param {object} config - The application configuration, including `colors` and `pdfLayout`.
+   * @param {string} title - The document title.
+   * @returns {string} The PDF file content.
+   */
+  generateDocument(channelLayers, transform, marks, config, title) {
+    const ptPerUnit = PDFExporter.PT_PER_MM * (transform.unit === 'in' ? 25.4 : 1);
+    const page = {
+      width: transform.pageWidth * ptPerUnit,
+      height: transform.pageHeight * ptPerUnit,
+      ptPerUnit,
+      transform,
+      marks
+    };
+
+    const colorSpaces = channelLayers.map(({ channel: name }, index) => `/CS${index} ${this.getSeparation(name, (config.colors || {})[name])}`);
+    colorSpaces.push(`/Registration [/Separation /All /DeviceCMYK ${this.getTintFunction([1, 1, 1, 1])}]`);
+    const resources = `<< /ColorSpace << ${colorSpaces.join(' ')} >> /ExtGState << /Overprint << /Type /ExtGState /OP true /op true /OPM 1 /BM /Multiply >> >> >>`;
+
+    const layers = channelLayers.map(({ shapes }, index) => ({ colorSpace: `/CS${index}`, shapes }));
+    const pages = config.pdfLayout === 'overprint' || layers.length === 1
+      ? [this.generatePageContent(layers, page)]
+      : layers.map(layer => this.generatePageContent([layer], page));
+
+    return this.writeDocument(pages, page, resources, title);
+  }
+
+  /**
+   * Builds a Separation color space for a channel. The spot color is named after the channel
+   * and its hex color, with an approximate CMYK equivalent for previews and proofs.
+   * @param {string} channel - The channel name.
+   * @param {string} [hex='#000000'] - The channel's hex color.
+   * @returns {string} The color space array in PDF syntax.
+   */
+  getSeparation(channel, hex = '#000000') {
+    const name = this.encodeName(`${channel} ${hex.toUpperCase()}`);
+    return `[/Separation ${name} /DeviceCMYK ${this.getTintFunction(this.hexToCmyk(hex))}]`;
+  }
+
+  /**
+   * Builds a linear tint transform from no ink to the given CMYK color.
+   * @param {number[]} cmyk - The full-tint CMYK values, each between 0 and 1.
+   * @returns {string} A type 2 (exponential interpolation) function dictionary.
+   */
+  getTintFunction(cmyk) {
+    return `<< /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [${cmyk.map(v => this.formatNumber(v)).join(' ')}] /N 1 >>`;
+  }
+
+  /**
+   * Converts a hex color to naive CMYK values.
+   * @param {string} hex - The color, e.g. '#00FFFF'.
+   * @returns {number[]} The C, M, Y and K values, each between 0 and 1.
+   */
+  hexToCmyk(hex) {
+    const value = parseInt(hex.replace('#', ''), 16) || 0;
+    const r = ((value >> 16) & 255) / 255;
+    const g = ((value >> 8) & 255) / 255;
+    const b = (value & 255) / 255;
+    const k = 1 - Math.max(r, g, b);
+    if (k >= 1) return [0, 0, 0, 1];
+    return [(1 - r - k) / (1 - k), (1 - g - k) / (1 - k), (1 - b - k) / (1 - k), k];
+  }
+
+  /**
+   * Encodes a string as a PDF name, escaping whitespace, delimiters and '#' as #xx.
+   * @param {string} value - The name.
+   * @returns {string} The PDF name, including its leading slash.
+   */
+  encodeName(value) {
+    return '/' + value.replace(/[^!-~]|[#%()<>[\]{}/]/g, (char) => '#' + char.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase());
+  }
+
+  /**
+   * Formats a number compactly for a content stream.
+   * @param {number} value - The number.
+   * @returns {string} The number with at most three decimal places.
+   */
+  formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  /**
+   * Builds the content stream of one page. The channels are drawn in image pixels through
+   * a single transformation matrix that also flips the y-axis, and every channel overprints
+   * the ones below it. Print marks are drawn in the registration color.
+   * @param {Array<{colorSpace: string, shapes: object[]}>} layers - The channels to draw, bottom to top.
+   * @param {{height: number, ptPerUnit: number, transform: object, marks: object[]}} page - The page settings.
+   * @returns {string} The content stream.
+   */
+  generatePageContent(layers, page) {
+    const n = (value) => this.formatNumber(value);
+    const { transform, ptPerUnit } = page;
+    const scale = transform.scale * ptPerUnit;
+    const ops = ['q', '/Overprint gs', '1 J 1 j'];
+
+    ops.push('q');
+    ops.push(`${n(scale)} 0 0 ${n(-scale)} ${n(transform.xOffset * ptPerUnit)} ${n(page.height - transform.yOffset * ptPerUnit)} cm`);
+    layers.forEach(layer => {
+      ops.push(`${layer.colorSpace} cs ${layer.colorSpace} CS 1 scn 1 SCN`);
+      let lineWidth = null;
+      layer.shapes.forEach(shape => {
+        if (!shape.filled && shape.strokeWidth !== lineWidth) {
+          lineWidth = shape.strokeWidth;
+          ops.push(`${n(lineWidth)} w`);
+        }
+        const path = this.shapeToPath(shape);
+        if (path) ops.push(`${path} ${shape.filled ? 'f' : 'S'}`);
+      });
+    });
+    ops.push('Q');
+
+    if (page.marks.length > 0) {
+      ops.push(`/Registration CS 1 SCN ${n(0.25 * PDFExporter.PT_PER_MM)} w`);
+      page.marks.forEach(({ points, closed }) => {
+        const path = points.map((p, i) => `${n(p.x * ptPerUnit)} ${n(page.height - p.y * ptPerUnit)} ${i === 0 ? 'm' : 'l'}`);
+        ops.push(`${path.join(' ')}${closed ? ' h' : ''} S`);
+      });
+    }
+    ops.push('Q');
+    return ops.join('\n');
+  }
+
+  /**
+   * Converts a shape into PDF path construction operators. Circles are drawn as four Bézier curves.
+   * @param {object} shape - A shape of the geometry model (see `PlotGeometry`).
+   * @returns {string} The path operators, without a painting operator.
+   */
+  shapeToPath(shape) {
+    const n = (value) => this.formatNumber(value);
+    if (shape.type === 'circle') {
+      const { cx, cy, r } = shape;
+      if (r <= 0) return '';
+      const k = r * PDFExporter.KAPPA;
+      return [
+        `${n(cx + r)} ${n(cy)} m`,
+        `${n(cx + r)} ${n(cy + k)} ${n(cx + k)} ${n(cy + r)} ${n(cx)} ${n(cy + r)} c`,
+        `${n(cx - k)} ${n(cy + r)} ${n(cx - r)} ${n(cy + k)} ${n(cx - r)} ${n(cy)} c`,
+        `${n(cx - r)} ${n(cy - k)} ${n(cx - k)} ${n(cy - r)} ${n(cx)} ${n(cy - r)} c`,
+        `${n(cx + k)} ${n(cy - r)} ${n(cx + r)} ${n(cy - k)} ${n(cx + r)} ${n(cy)} c h`
+      ].join(' ');
+    }
+    if (shape.points.length < 2) return '';
+    const path = shape.points.map((p, i) => `${n(p.x)} ${n(p.y)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+    return shape.type === 'polygon' ? `${path} h` : path;
+  }
+
+  /**
+   * Assembles the PDF file: catalog, page tree, shared resources, pages, content streams,
+   * document information, cross-reference table and trailer.
+   * @param {string[]} contents - The content stream of each page.
+   * @param {{width: number, height: number}} page - The page size in points.
+   * @param {string} resources - The resource dictionary shared by all pages.
+   * @param {string} title - The document title.
+   * @returns {string} The PDF file content.
+   */
+  writeDocument(contents, page, resources, title) {
+    // Object numbers: 1 catalog, 2 page tree, 3 resources, 4 info, then a page and its content per page.
+    const pageIds = contents.map((_, i) => 5 + i * 2);
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+      resources,
+      `<< /Title (${title.replace(/[\\()]/g, '\\$&')}) /Producer (Advanced Halftone Plotter Tool) >>`
+    ];
+    contents.forEach((content, i) => {
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.formatNumber(page.width)} ${this.formatNumber(page.height)}] /Resources 3 0 R /Contents ${pageIds[i] + 1} 0 R >>`);
+      objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    });
+
+    // Every character is ASCII, so string lengths equal byte offsets.
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  }
+
+  /**
+   * Triggers the download of a PDF file for a specified channel.
+   * @param {string} channel - The channel name to download, or 'combined'.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadPDF(channel, config = {}) {
+    const pdf = this.generatePDF(channel, config);
+    if (!pdf) {
+      console.error(`No PDF data found for channel: ${channel}`);
+      return;
+    }
+    this.svgExporter.downloadFile(pdf, `halftone-${channel}-${new Date().getTime()}.pdf`, 'application/pdf');
+  }
+
+  /**
+   * Downloads one PDF file per channel followed by the combined file.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadAllChannels(config = {}) {
+    const channels = this.svgExporter.getChannels('combined', config);
+    let delay = 0;
+    channels.forEach(channel => {
+      setTimeout(() => this.downloadPDF(channel, config), delay);
+      delay += 500; // Stagger downloads to prevent browser blocking.
+    });
+    setTimeout(() => this.downloadPDF('combined', config), delay);
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.PDFExporter = PDFExporter;
@@ -0,0 +1,187 @@
+/**
+ * @file Estimates what a plot will cost before it is sent to the plotter:
+ * pen-down and pen-up distance, pen lifts, plot time and ink coverage per channel.
+ */
+
+/**
+ * A class that analyses the per-channel geometry held by an `SVGExporter`.
+ * Distances are measured on the same pen paths the plotter exporters produce,
+ * and plot time uses a trapezoidal (constant acceleration) motion model.
+ */
+class PlotEstimator {
+  /**
+   * Initializes the PlotEstimator.
+   * @param {SVGExporter} svgExporter - The exporter holding the generated geometry and paper settings.
+   */
+  constructor(svgExporter) {
+    /**
+     * The SVG exporter that provides channel geometry and paper fitting.
+     * @type {SVGExporter}
+     */
+    this.svgExporter = svgExporter;
+
+    /**
+     * Default machine settings, used for any value missing from `config.estimator`.
+     * Speeds are in mm/s, acceleration in mm/s² and the pen lift time in milliseconds.
+     * @type {{drawSpeed: number, travelSpeed: number, acceleration: number, penLiftTime: number}}
+     */
+    this.defaults = {
+      drawSpeed: 25,
+      travelSpeed: 75,
+      acceleration: 500,
+      penLiftTime: 150
+    };
+
+    /**
+     * Direction changes sharper than this (in radians) are assumed to bring the pen to a stop.
+     * @type {number}
+     */
+    this.cornerThreshold = Math.PI / 4;
+  }
+
+  /**
+   * Analyses every channel in `config.channelNames` that has geometry.
+   * @param {object} config - The application configuration, including `paperSize` and `estimator` settings.
+   * @returns {Array<{channel: string, elements: number, penLifts: number, penDown: number, penUp: number, time: number, coverage: number}>}
+   * One row per channel. Distances are in millimetres, time in seconds and coverage in percent of the image area.
+   */
+  estimate(config) {
+    return this.svgExporter.getChannels('combined', config)
+      .map(channel => this.estimateChannel(channel, config));
+  }
+
+  /**
+   * Analyses a single channel.
+   * @param {string} channel - The channel name.
+   * @param {object} config - The application configuration.
+   * @returns {{channel: string, elements: number, penLifts: number, penDown: number, penUp: number, time: number, coverage: number}}
+   * The channel's statistics (see `estimate`).
+   */
+  estimateChannel(channel, config) {
+    const settings = { ...this.defaults, ...config.estimator };
+    const shapes = this.svgExporter.geometry[channel].shapes;
+    const plot = this.svgExporter.getPlotLayers(channel, config);
+    const toMm = plot.transform.unit === 'in' ? 25.4 : 1;
+    const polylines = plot.layers[0].polylines;
+
+    let penDown = 0;
+    let penUp = 0;
+    let time = 0;
+    let position = { x: 0, y: 0 };
+    polylines.forEach(polyline => {
+      const points = polyline.closed ? [...polyline.points, polyline.points[0]] : polyline.points;
+      const travel = Math.hypot(points[0].x - position.x, points[0].y - position.y) * toMm;
+      penUp += travel;
+      time += this.moveTime(travel, settings.travelSpeed, settings.acceleration);
+
+      const drawn = this.polylineMotion(points, toMm, settings);
+      penDown += drawn.distance;
+      time += drawn.time;
+      position = points[points.length - 1];
+    });
+    // Every path needs the pen to go down and back up again.
+    time += polylines.length * 2 * settings.penLiftTime / 1000;
+
+    return {
+      channel,
+      elements: shapes.length,
+      penLifts: polylines.length,
+      penDown,
+      penUp,
+      time,
+      coverage: this.measureCoverage(shapes, this.svgExporter.getDimensions(channel))
+    };
+  }
+
+  /**
+   * Calculates the time to move a distance from standstill to standstill with a trapezoidal
+   * velocity profile. Short moves never reach full speed and follow a triangular profile.
+   * @param {number} distance - The distance in mm.
+   * @param {number} speed - The maximum speed in mm/s.
+   * @param {number} acceleration - The acceleration in mm/s².
+   * @returns {number} The time in seconds.
+   */
+  moveTime(distance, speed, acceleration) {
+    if (distance <= 0) return 0;
+    const accelDistance = speed * speed / acceleration;
+    if (distance >= accelDistance) {
+      return distance / speed + speed / acceleration;
+    }
+    return 2 * Math.sqrt(distance / acceleration);
+  }
+
+  /**
+   * Measures a pen-down polyline and estimates the time to draw it. The polyline is split
+   * into runs at sharp corners, where the pen has to stop; each run is one trapezoidal move.
+   * @param {Array<{x: number, y: number}>} points - The points of the polyline.
+   * @param {number} toMm - The factor that converts the point units to millimetres.
+   * @param {{drawSpeed: number, acceleration: number}} settings - The machine settings.
+   * @returns {{distance: number, time: number}} The length in mm and the time in seconds.
+   */
+  polylineMotion(points, toMm, settings) {
+    let distance = 0;
+    let time = 0;
+    let run = 0;
+    let previousAngle = null;
+    for (let i = 1; i < points.length; i++) {
+      const dx = points[i].x - points[i - 1].x;
+      const dy = points[i].y - points[i - 1].y;
+      const length = Math.hypot(dx, dy) * toMm;
+      if (length === 0) continue;
+      const angle = Math.atan2(dy, dx);
+      if (previousAngle !== null) {
+        let turn = Math.abs(angle - previousAngle);
+        if (turn > Math.PI) turn = 2 * Math.PI - turn;
+        if (turn > this.cornerThreshold) {
+          time += this.moveTime(run, settings.drawSpeed, settings.acceleration);
+          run = 0;
+        }
+      }
+      previousAngle = angle;
+      run += length;
+      distance += length;
+    }
+    time += this.moveTime(run, settings.drawSpeed, settings.acceleration);
+    return { distance, time };
+  }
+
+  /**
+   * Estimates the share of the image area covered by ink. Filled shapes contribute their area,
+   * strokes their length times their width. Overlaps are not subtracted, so the result is capped at 100%.
+   * @param {object[]} shapes - The shapes of the channel.
+   * @param {{width: number, height: number}|null} dimensions - The image size in pixels.
+   * @returns {number} The coverage in percent.
+   */
+  measureCoverage(shapes, dimensions) {
+    if (!dimensions) return 0;
+    let inked = 0;
+    shapes.forEach(shape => {
+      if (shape.type === 'circle') {
+        inked += shape.filled ? Math.PI * shape.r * shape.r : 2 * Math.PI * shape.r * shape.strokeWidth;
+        return;
+      }
+      if (shape.filled) {
+        let area = 0;
+        shape.points.forEach((a, i) => {
+          const b = shape.points[(i + 1) % shape.points.length];
+          area += a.x * b.y - b.x * a.y;
+        });
+        inked += Math.abs(area) / 2;
+        return;
+      }
+      const closed = shape.type === 'polygon';
+      let length = 0;
+      const count = closed ? shape.points.length : shape.points.length - 1;
+      for (let i = 0; i < count; i++) {
+        const a = shape.points[i];
+        const b = shape.points[(i + 1) % shape.points.length];
+        length += Math.hypot(b.x - a.x, b.y - a.y);
+      }
+      inked += length * shape.strokeWidth;
+    });
+    return Math.min(100, inked / (dimensions.width * dimensions.height) * 100);
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.PlotEstimator = PlotEstimator;
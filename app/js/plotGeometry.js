@@ -0,0 +1,823 @@
+/**
+ * @file The geometry model shared by the pattern generators and every exporter.
+ * Generators emit plain shape objects in image pixels; the SVG serializer, the
+ * preview and the plotter-oriented exporters (G-code, HPGL, ...) all consume
+ * them directly, converting to pen polylines where needed.
+ */
+
+/**
+ * A collection of static helpers for creating shapes and turning them into
+ * polylines that a pen can follow.
+ *
+ * Every shape has a `type` of 'circle', 'polygon' (closed) or 'polyline' (open),
+ * a `filled` flag and a `strokeWidth`, plus `cx`/`cy`/`r` for circles or `points`
+ * for the others. Strokes that stand for pen movements, such as plotter fills,
+ * carry `lineCap: 'round'`.
+ */
+class PlotGeometry {
+  /**
+   * The largest number of cells in a distance field; coarser cells are used beyond it.
+   * @type {number}
+   */
+  static MAX_FIELD_CELLS = 2000000;
+
+  /**
+   * Creates a circle shape.
+   * @param {number} cx - The centre x-coordinate.
+   * @param {number} cy - The centre y-coordinate.
+   * @param {number} r - The radius.
+   * @param {number|null} [strokeWidth=null] - The outline width, or null for a filled circle.
+   * @returns {object} The circle shape.
+   */
+  static circle(cx, cy, r, strokeWidth = null) {
+    return { type: 'circle', filled: strokeWidth === null, strokeWidth: strokeWidth || 0, cx, cy, r };
+  }
+
+  /**
+   * Creates a closed polygon shape.
+   * @param {Array<{x: number, y: number}>} points - The vertices.
+   * @param {number|null} [strokeWidth=null] - The outline width, or null for a filled polygon.
+   * @returns {object} The polygon shape.
+   */
+  static polygon(points, strokeWidth = null) {
+    return { type: 'polygon', filled: strokeWidth === null, strokeWidth: strokeWidth || 0, points };
+  }
+
+  /**
+   * Creates an open, stroked polyline shape.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {number} strokeWidth - The line width.
+   * @param {string} [lineCap] - 'round' for pen strokes; other polylines end flush with their points.
+   * @returns {object} The polyline shape.
+   */
+  static polyline(points, strokeWidth, lineCap) {
+    const shape = { type: 'polyline', filled: false, strokeWidth, points };
+    if (lineCap) shape.lineCap = lineCap;
+    return shape;
+  }
+
+  /**
+   * Converts a shape into one or more polylines that trace its outline.
+   * Circles are approximated by a polygon whose chord error stays below `tolerance`.
+   * @param {object} shape - The shape.
+   * @param {number} [tolerance=0.1] - The maximum deviation from a true circle, in shape units.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The polylines.
+   */
+  static shapeToPolylines(shape, tolerance = 0.1) {
+    switch (shape.type) {
+      case 'circle':
+        return shape.r > 0 ? [{ points: this.circleToPoints(shape.cx, shape.cy, shape.r, tolerance), closed: true }] : [];
+      case 'polygon':
+        return shape.points.length > 1 ? [{ points: shape.points, closed: true }] : [];
+      case 'polyline':
+        return shape.points.length > 1 ? [{ points: shape.points, closed: false }] : [];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Approximates a circle with a closed list of points.
+   * @param {number} cx - The centre x-coordinate.
+   * @param {number} cy - The centre y-coordinate.
+   * @param {number} r - The radius.
+   * @param {number} [tolerance=0.1] - The maximum chord error.
+   * @returns {Array<{x: number, y: number}>} The circle's vertices (the first point is not repeated).
+   */
+  static circleToPoints(cx, cy, r, tolerance = 0.1) {
+    const ratio = Math.max(-1, Math.min(1, 1 - tolerance / r));
+    const segments = Math.max(8, Math.min(256, Math.ceil(Math.PI / Math.acos(ratio))));
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      points.push({ x: cx + Math.cos(angle) * r, y: cy + Math.sin(angle) * r });
+    }
+    return points;
+  }
+
+  /**
+   * Converts a list of shapes to polylines.
+   * @param {object[]} shapes - The shapes.
+   * @param {number} [tolerance=0.1] - The circle approximation tolerance.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The polylines.
+   */
+  static shapesToPolylines(shapes, tolerance = 0.1) {
+    const polylines = [];
+    shapes.forEach(shape => {
+      polylines.push(...this.shapeToPolylines(shape, tolerance));
+    });
+    return polylines;
+  }
+
+  /**
+   * Smooths a polyline by corner cutting (Chaikin's algorithm): every pass replaces each
+   * segment by points at a quarter and three quarters of its length. Open polylines keep their ends.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {boolean} closed - Whether the last point connects back to the first.
+   * @param {number} [iterations=2] - The number of passes.
+   * @returns {Array<{x: number, y: number}>} The smoothed points.
+   */
+  static smoothPolyline(points, closed, iterations = 2) {
+    let current = points;
+    for (let pass = 0; pass < iterations && current.length > 2; pass++) {
+      const next = closed ? [] : [current[0]];
+      const segments = closed ? current.length : current.length - 1;
+      for (let i = 0; i < segments; i++) {
+        const a = current[i];
+        const b = current[(i + 1) % current.length];
+        next.push({ x: 0.75 * a.x + 0.25 * b.x, y: 0.75 * a.y + 0.25 * b.y });
+        next.push({ x: 0.25 * a.x + 0.75 * b.x, y: 0.25 * a.y + 0.75 * b.y });
+      }
+      if (!closed) next.push(current[current.length - 1]);
+      current = next;
+    }
+    return current;
+  }
+
+  /**
+   * Simplifies a polyline with the Ramer–Douglas–Peucker algorithm, dropping points that lie
+   * within `tolerance` of the simplified line. Closed polylines are split at their farthest point.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {number} tolerance - The maximum deviation, in shape units.
+   * @param {boolean} [closed=false] - Whether the last point connects back to the first.
+   * @returns {Array<{x: number, y: number}>} The remaining points.
+   */
+  static simplifyPolyline(points, tolerance, closed = false) {
+    if (points.length < 3) return points.slice();
+    if (closed) {
+      // Simplify the two halves between the first point and the point farthest from it.
+      let far = 0;
+      let farDistance = -1;
+      points.forEach((p, i) => {
+        const distance = (p.x - points[0].x) ** 2 + (p.y - points[0].y) ** 2;
+        if (distance > farDistance) { farDistance = distance; far = i; }
+      });
+      const first = this.simplifyPolyline(points.slice(0, far + 1), tolerance);
+      const second = this.simplifyPolyline(points.slice(far).concat([points[0]]), tolerance);
+      return first.concat(second.slice(1, -1));
+    }
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    // An explicit stack instead of recursion, as contour lines can have many thousands of points.
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+      const [start, end] = stack.pop();
+      const a = points[start];
+      const b = points[end];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const length = Math.hypot(dx, dy);
+      let index = -1;
+      let maxDistance = tolerance;
+      for (let i = start + 1; i < end; i++) {
+        const p = points[i];
+        const distance = length > 0
+          ? Math.abs(dx * (p.y - a.y) - dy * (p.x - a.x)) / length
+          : Math.hypot(p.x - a.x, p.y - a.y);
+        if (distance > maxDistance) { maxDistance = distance; index = i; }
+      }
+      if (index !== -1) {
+        keep[index] = 1;
+        stack.push([start, index], [index, end]);
+      }
+    }
+    return points.filter((_, i) => keep[i]);
+  }
+
+  /**
+   * Calculates the bounding box of a shape, ignoring its stroke width.
+   * @param {object} shape - The shape.
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The bounding box.
+   */
+  static getBounds(shape) {
+    if (shape.type === 'circle') {
+      return { minX: shape.cx - shape.r, minY: shape.cy - shape.r, maxX: shape.cx + shape.r, maxY: shape.cy + shape.r };
+    }
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    shape.points.forEach(p => {
+      minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    });
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Clips a shape to a rectangle. Filled shapes are clipped as areas (Sutherland–Hodgman),
+   * so a filled circle crossing the edge becomes a polygon; stroked shapes are cut into
+   * the open polylines that lie inside the rectangle.
+   * @param {object} shape - The shape.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The clip rectangle.
+   * @param {number} [tolerance=0.1] - The maximum chord error when circles are converted to polygons.
+   * @returns {object[]} The clipped shapes: the original shape if it lies fully inside, none if it lies fully outside.
+   */
+  static clipShapeToRect(shape, rect, tolerance = 0.1) {
+    const bounds = this.getBounds(shape);
+    const right = rect.x + rect.width;
+    const bottom = rect.y + rect.height;
+    if (bounds.minX >= rect.x && bounds.maxX <= right && bounds.minY >= rect.y && bounds.maxY <= bottom) return [shape];
+    if (bounds.maxX < rect.x || bounds.minX > right || bounds.maxY < rect.y || bounds.minY > bottom) return [];
+
+    const clipped = [];
+    this.shapeToPolylines(shape, tolerance).forEach(polyline => {
+      if (shape.filled) {
+        const points = this.clipPolygonToRect(polyline.points, rect);
+        if (points.length > 2) clipped.push({ type: 'polygon', filled: true, strokeWidth: shape.strokeWidth, points });
+      } else {
+        this.clipPolylineToRect(polyline.points, polyline.closed, rect).forEach(points => {
+          clipped.push(this.polyline(points, shape.strokeWidth, shape.lineCap));
+        });
+      }
+    });
+    return clipped;
+  }
+
+  /**
+   * Clips a list of shapes to a rectangle, keeping the parts that lie inside it.
+   * @param {object[]} shapes - The shapes.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The clip rectangle.
+   * @param {boolean} [dropCrossing=false] - Drop shapes that cross the edge instead of cutting them.
+   * @returns {object[]} The clipped shapes.
+   */
+  static clipShapes(shapes, rect, dropCrossing = false) {
+    const clipped = [];
+    shapes.forEach(shape => {
+      if (dropCrossing) {
+        const bounds = this.getBounds(shape);
+        if (bounds.minX >= rect.x && bounds.maxX <= rect.x + rect.width && bounds.minY >= rect.y && bounds.maxY <= rect.y + rect.height) {
+          clipped.push(shape);
+        }
+        return;
+      }
+      clipped.push(...this.clipShapeToRect(shape, rect));
+    });
+    return clipped;
+  }
+
+  /**
+   * Clips a polygon to a rectangle with the Sutherland–Hodgman algorithm.
+   * @param {Array<{x: number, y: number}>} points - The polygon's vertices.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The clip rectangle.
+   * @returns {Array<{x: number, y: number}>} The clipped polygon's vertices (empty if nothing remains).
+   */
+  static clipPolygonToRect(points, rect) {
+    const edges = [
+      { inside: p => p.x >= rect.x, axis: 'x', value: rect.x },
+      { inside: p => p.x <= rect.x + rect.width, axis: 'x', value: rect.x + rect.width },
+      { inside: p => p.y >= rect.y, axis: 'y', value: rect.y },
+      { inside: p => p.y <= rect.y + rect.height, axis: 'y', value: rect.y + rect.height }
+    ];
+    const intersect = (a, b, { axis, value }) => {
+      const other = axis === 'x' ? 'y' : 'x';
+      const t = (value - a[axis]) / (b[axis] - a[axis]);
+      return { [axis]: value, [other]: a[other] + t * (b[other] - a[other]) };
+    };
+
+    let output = points;
+    edges.forEach(edge => {
+      const input = output;
+      output = [];
+      input.forEach((current, i) => {
+        const previous = input[(i + input.length - 1) % input.length];
+        if (edge.inside(current)) {
+          if (!edge.inside(previous)) output.push(intersect(previous, current, edge));
+          output.push(current);
+        } else if (edge.inside(previous)) {
+          output.push(intersect(previous, current, edge));
+        }
+      });
+    });
+    return output;
+  }
+
+  /**
+   * Clips a polygon to the half-plane on one side of a line (one Sutherland–Hodgman pass).
+   * @param {Array<{x: number, y: number}>} points - The polygon's vertices.
+   * @param {{x: number, y: number}} a - A point on the line.
+   * @param {{x: number, y: number}} b - A second point on the line.
+   * @param {number} [side=1] - 1 keeps the points to the left of a→b (positive cross product), -1 those to the right.
+   * @returns {Array<{x: number, y: number}>} The clipped polygon's vertices (empty if nothing remains).
+   */
+  static clipPolygonToHalfPlane(points, a, b, side = 1) {
+    const distance = p => side * ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+    const output = [];
+    points.forEach((current, i) => {
+      const previous = points[(i + points.length - 1) % points.length];
+      const dc = distance(current);
+      const dp = distance(previous);
+      if ((dc >= 0) !== (dp >= 0)) {
+        const t = dp / (dp - dc);
+        output.push({ x: previous.x + t * (current.x - previous.x), y: previous.y + t * (current.y - previous.y) });
+      }
+      if (dc >= 0) output.push(current);
+    });
+    return output;
+  }
+
+  /**
+   * Clips a polyline to a rectangle (Liang–Barsky per segment) and returns the pieces inside it.
+   * @param {Array<{x: number, y: number}>} points - The polyline's points.
+   * @param {boolean} closed - Whether the last point connects back to the first.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The clip rectangle.
+   * @returns {Array<Array<{x: number, y: number}>>} The visible pieces as open polylines.
+   */
+  static clipPolylineToRect(points, closed, rect) {
+    const path = closed ? [...points, points[0]] : points;
+    const pieces = [];
+    let current = null;
+
+    for (let i = 1; i < path.length; i++) {
+      const a = path[i - 1];
+      const b = path[i];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      let t0 = 0;
+      let t1 = 1;
+      const checks = [[-dx, a.x - rect.x], [dx, rect.x + rect.width - a.x], [-dy, a.y - rect.y], [dy, rect.y + rect.height - a.y]];
+      let visible = true;
+      for (const [p, q] of checks) {
+        if (p === 0) {
+          if (q < 0) { visible = false; break; }
+          continue;
+        }
+        const t = q / p;
+        if (p < 0) t0 = Math.max(t0, t);
+        else t1 = Math.min(t1, t);
+        if (t0 > t1) { visible = false; break; }
+      }
+      if (!visible) {
+        current = null;
+        continue;
+      }
+
+      const start = t0 === 0 ? a : { x: a.x + t0 * dx, y: a.y + t0 * dy };
+      const end = t1 === 1 ? b : { x: a.x + t1 * dx, y: a.y + t1 * dy };
+      if (!current) {
+        current = [start];
+        pieces.push(current);
+      }
+      current.push(end);
+      // A segment that leaves the rectangle ends the current piece.
+      if (t1 < 1) current = null;
+    }
+    return pieces;
+  }
+
+  /**
+   * Traces the isolines of a grid at one level with marching squares. Each cell crossed by the
+   * level contributes one or two segments between points on its edges; the segments are then
+   * joined through their shared edges into lines.
+   * @param {Float32Array} field - The grid values in row-major order.
+   * @param {number} cols - The number of grid columns.
+   * @param {number} rows - The number of grid rows.
+   * @param {number} level - The iso-level.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The isolines, in grid units.
+   */
+  static traceContours(field, cols, rows, level) {
+    // Edge ids: 2 * vertex for the edge to the right of a grid vertex, 2 * vertex + 1 for the one below it.
+    const edgePoint = (id) => {
+      const vertex = id >> 1;
+      const x = vertex % cols;
+      const y = Math.floor(vertex / cols);
+      const other = (id & 1) ? vertex + cols : vertex + 1;
+      const a = field[vertex];
+      const b = field[other];
+      const t = a === b ? 0.5 : (level - a) / (b - a);
+      return (id & 1) ? { x, y: y + t } : { x: x + t, y };
+    };
+
+    const segments = [];
+    for (let y = 0; y < rows - 1; y++) {
+      for (let x = 0; x < cols - 1; x++) {
+        const v = y * cols + x;
+        const tl = field[v], tr = field[v + 1], br = field[v + cols + 1], bl = field[v + cols];
+        const index = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0) | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0);
+        if (index === 0 || index === 15) continue;
+
+        const top = 2 * v;
+        const bottom = 2 * (v + cols);
+        const left = 2 * v + 1;
+        const right = 2 * (v + 1) + 1;
+        // In the two saddle cases the average of the corners decides which way the level runs.
+        const centerAbove = (tl + tr + br + bl) / 4 >= level;
+        switch (index) {
+          case 1: case 14: segments.push([left, bottom]); break;
+          case 2: case 13: segments.push([bottom, right]); break;
+          case 3: case 12: segments.push([left, right]); break;
+          case 4: case 11: segments.push([top, right]); break;
+          case 6: case 9: segments.push([top, bottom]); break;
+          case 7: case 8: segments.push([left, top]); break;
+          case 5:
+            if (centerAbove) segments.push([left, top], [bottom, right]);
+            else segments.push([top, right], [left, bottom]);
+            break;
+          case 10:
+            if (centerAbove) segments.push([top, right], [left, bottom]);
+            else segments.push([left, top], [bottom, right]);
+            break;
+        }
+      }
+    }
+
+    // Every edge is shared by at most two segments, one from each of its cells.
+    const byEdge = new Map();
+    segments.forEach(([a, b], i) => {
+      [a, b].forEach(edge => {
+        if (byEdge.has(edge)) byEdge.get(edge).push(i);
+        else byEdge.set(edge, [i]);
+      });
+    });
+    const used = new Uint8Array(segments.length);
+    const follow = (edge, from) => {
+      const next = byEdge.get(edge).find(i => i !== from && !used[i]);
+      return next === undefined ? -1 : next;
+    };
+
+    const lines = [];
+    segments.forEach((segment, first) => {
+      if (used[first]) return;
+      used[first] = 1;
+      const edges = [segment[0], segment[1]];
+      // Extend forwards from the end, then backwards from the start.
+      for (let current = first, next = follow(edges[edges.length - 1], current); next !== -1; current = next, next = follow(edges[edges.length - 1], current)) {
+        used[next] = 1;
+        const [a, b] = segments[next];
+        edges.push(a === edges[edges.length - 1] ? b : a);
+      }
+      for (let current = first, next = follow(edges[0], current); next !== -1; current = next, next = follow(edges[0], current)) {
+        used[next] = 1;
+        const [a, b] = segments[next];
+        edges.unshift(a === edges[0] ? b : a);
+      }
+      const closed = edges.length > 3 && edges[0] === edges[edges.length - 1];
+      if (closed) edges.pop();
+      lines.push({ points: edges.map(edgePoint), closed });
+    });
+    return lines;
+  }
+
+  /**
+   * Tells whether a polygon is convex: every corner turns the same way and the outline
+   * goes round only once. Straight corners are allowed, doubled-back ones are not.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @returns {boolean} Whether the polygon is convex.
+   */
+  static isConvex(points) {
+    const count = points.length;
+    let sign = 0;
+    let turning = 0;
+    for (let i = 0; i < count; i++) {
+      const a = points[(i + count - 1) % count];
+      const b = points[i];
+      const c = points[(i + 1) % count];
+      const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+      const dot = (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y);
+      if (Math.abs(cross) <= 1e-9 * Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - b.x, c.y - b.y)) {
+        if (dot < 0) return false;
+        continue;
+      }
+      if (sign === 0) sign = Math.sign(cross);
+      else if (Math.sign(cross) !== sign) return false;
+      turning += Math.atan2(cross, dot);
+    }
+    return Math.abs(turning) < 2 * Math.PI + 1e-6;
+  }
+
+  /**
+   * Splits a simple polygon into convex parts: it is triangulated by ear clipping, and each
+   * triangle is merged into the part before it while they share an edge and stay convex
+   * (Hertel–Mehlhorn, in the order the ears were clipped). Outlines that touch themselves,
+   * such as a ribbon pinched to no width, are first cut into separate loops wherever a vertex
+   * repeats; loops without area are dropped.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @param {number} [maxVertices=32] - The largest number of vertices of a part.
+   * @returns {Array<Array<{x: number, y: number}>>} The convex parts, with the orientation of the polygon.
+   */
+  static convexParts(points, maxVertices = 32) {
+    const parts = [];
+    this.splitAtRepeatedVertices(points).forEach(loop => {
+      this.clipEars(loop, (triangle, orientation) => {
+        const part = parts.length > 0 ? parts[parts.length - 1] : null;
+        if (!part || part.loop !== loop || part.indices.length >= maxVertices || !this.mergeConvex(part, triangle, orientation)) {
+          parts.push({ loop, indices: triangle });
+        }
+      });
+    });
+    return parts.map(({ loop, indices }) => indices.map(i => loop[i]));
+  }
+
+  /**
+   * Adds a triangle to a convex part when they share an edge and the result is still convex.
+   * @param {{loop: Array<{x: number, y: number}>, indices: number[]}} part - The part, as indices into its loop.
+   * @param {number[]} triangle - The triangle, as indices into the same loop, with the same orientation.
+   * @param {number} orientation - 1 or -1, the sign of the loop's area.
+   * @returns {boolean} Whether the triangle was merged.
+   */
+  static mergeConvex(part, triangle, orientation) {
+    const { loop, indices } = part;
+    const count = indices.length;
+    const turn = (a, b, c) => orientation * ((loop[b].x - loop[a].x) * (loop[c].y - loop[b].y) - (loop[b].y - loop[a].y) * (loop[c].x - loop[b].x));
+    for (let k = 0; k < 3; k++) {
+      // Neighbouring parts run along the shared edge in opposite directions.
+      const from = triangle[(k + 1) % 3];
+      const to = triangle[k];
+      const apex = triangle[(k + 2) % 3];
+      for (let j = 0; j < count; j++) {
+        if (indices[j] !== from || indices[(j + 1) % count] !== to) continue;
+        const before = indices[(j + count - 1) % count];
+        const after = indices[(j + 2) % count];
+        if (turn(before, from, apex) < 0 || turn(apex, to, after) < 0) return false;
+        indices.splice(j + 1, 0, apex);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Cuts an outline into loops at its repeated vertices. A loop is closed off as soon as
+   * the walk along the outline comes back to a vertex it has already passed.
+   * @param {Array<{x: number, y: number}>} points - The outline.
+   * @returns {Array<Array<{x: number, y: number}>>} The loops with at least three vertices.
+   */
+  static splitAtRepeatedVertices(points) {
+    const loops = [];
+    const path = [];
+    const seen = new Map();
+    const keyOf = (p) => `${p.x},${p.y}`;
+    points.forEach(p => {
+      const key = keyOf(p);
+      if (seen.has(key)) {
+        const loop = path.splice(seen.get(key));
+        loop.forEach(q => seen.delete(keyOf(q)));
+        loops.push(loop);
+      }
+      seen.set(key, path.length);
+      path.push(p);
+    });
+    loops.push(path);
+    return loops.filter(loop => loop.length > 2);
+  }
+
+  /**
+   * Triangulates a simple polygon by clipping ears: corners whose triangle holds no other
+   * vertex. A grid of the vertices keeps the test for other vertices local. Should the
+   * polygon be slightly self-intersecting and no ear be found, a convex corner is clipped
+   * anyway, so the triangulation always finishes.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices, without repeats.
+   * @param {function(number[], number)} onTriangle - Called with each triangle, as indices into `points`,
+   * in the order they are clipped, and with 1 or -1, the sign of the polygon's area.
+   */
+  static clipEars(points, onTriangle) {
+    let count = points.length;
+    let area = 0;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % count];
+      area += a.x * b.y - b.x * a.y;
+      minX = Math.min(minX, a.x); maxX = Math.max(maxX, a.x);
+      minY = Math.min(minY, a.y); maxY = Math.max(maxY, a.y);
+    });
+    if (count < 3 || Math.abs(area) < 1e-9) return;
+    const orientation = area > 0 ? 1 : -1;
+    const cross = (a, b, c) => orientation * ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+
+    const cellSize = Math.max(1e-6, 2 * Math.sqrt(((maxX - minX) * (maxY - minY)) / count), (maxX - minX + maxY - minY) / 1024);
+    const cols = Math.floor((maxX - minX) / cellSize) + 1;
+    const grid = new Map();
+    const cellOf = (p) => Math.floor((p.y - minY) / cellSize) * cols + Math.floor((p.x - minX) / cellSize);
+    points.forEach((p, i) => {
+      const cell = cellOf(p);
+      if (!grid.has(cell)) grid.set(cell, []);
+      grid.get(cell).push(i);
+    });
+
+    const prev = new Int32Array(count);
+    const next = new Int32Array(count);
+    const removed = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      prev[i] = (i + count - 1) % count;
+      next[i] = (i + 1) % count;
+    }
+    const isEar = (i) => {
+      const a = points[prev[i]];
+      const b = points[i];
+      const c = points[next[i]];
+      const col0 = Math.floor((Math.min(a.x, b.x, c.x) - minX) / cellSize);
+      const col1 = Math.floor((Math.max(a.x, b.x, c.x) - minX) / cellSize);
+      const row0 = Math.floor((Math.min(a.y, b.y, c.y) - minY) / cellSize);
+      const row1 = Math.floor((Math.max(a.y, b.y, c.y) - minY) / cellSize);
+      for (let row = row0; row <= row1; row++) {
+        for (let col = col0; col <= col1; col++) {
+          for (const j of grid.get(row * cols + col) || []) {
+            if (removed[j] || j === i || j === prev[i] || j === next[i]) continue;
+            const p = points[j];
+            if ((p.x === a.x && p.y === a.y) || (p.x === c.x && p.y === c.y)) continue;
+            if (cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0) return false;
+          }
+        }
+      }
+      return true;
+    };
+    const remove = (i) => {
+      removed[i] = 1;
+      next[prev[i]] = next[i];
+      prev[next[i]] = prev[i];
+      count--;
+    };
+
+    let i = 0;
+    let stalled = 0;
+    while (count > 3) {
+      const turn = cross(points[prev[i]], points[i], points[next[i]]);
+      if (turn > 0 && (stalled > count || isEar(i))) {
+        onTriangle([prev[i], i, next[i]], orientation);
+      } else if (turn !== 0 && stalled <= 2 * count) {
+        i = next[i];
+        stalled++;
+        continue;
+      }
+      // Clipped ears, straight corners and, as a last resort, anything left is removed.
+      const following = next[i];
+      remove(i);
+      i = following;
+      stalled = 0;
+    }
+    if (cross(points[prev[i]], points[i], points[next[i]]) > 0) onTriangle([prev[i], i, next[i]], orientation);
+  }
+
+  /**
+   * Rasterizes a polygon and gives every cell its distance to the outside of the polygon.
+   * Levels of the field are the outlines of the polygon moved inwards by that distance,
+   * which works for any simple polygon, convex or not. The grid has a one-cell margin,
+   * so the levels always close.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @param {number} cellSize - The cell size; it grows when the grid would exceed `MAX_FIELD_CELLS`.
+   * @returns {{values: Float32Array, cols: number, rows: number, x: number, y: number, cellSize: number, max: number}}
+   * The distances in row-major order, the grid size, the position of the first cell's centre and the largest distance.
+   */
+  static distanceField(points, cellSize) {
+    const bounds = this.getBounds({ points });
+    const spanX = bounds.maxX - bounds.minX;
+    const spanY = bounds.maxY - bounds.minY;
+    const size = Math.max(cellSize, Math.sqrt((spanX * spanY) / this.MAX_FIELD_CELLS), 1e-6);
+    const cols = Math.ceil(spanX / size) + 2;
+    const rows = Math.ceil(spanY / size) + 2;
+    const x0 = bounds.minX - size / 2;
+    const y0 = bounds.minY - size / 2;
+
+    // Inside cells start at "far", outside cells at zero; crossings are collected per row (even-odd).
+    const far = (cols + rows) * (cols + rows);
+    const squared = new Float64Array(cols * rows);
+    const crossings = Array.from({ length: rows }, () => []);
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      if (a.y === b.y) return;
+      const first = Math.max(0, Math.ceil((Math.min(a.y, b.y) - y0) / size));
+      const last = Math.min(rows - 1, Math.ceil((Math.max(a.y, b.y) - y0) / size) - 1);
+      for (let row = first; row <= last; row++) {
+        const y = y0 + row * size;
+        crossings[row].push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    });
+    crossings.forEach((xs, row) => {
+      xs.sort((p, q) => p - q);
+      for (let k = 0; k + 1 < xs.length; k += 2) {
+        const from = Math.max(0, Math.ceil((xs[k] - x0) / size));
+        const to = Math.min(cols - 1, Math.ceil((xs[k + 1] - x0) / size) - 1);
+        for (let col = from; col <= to; col++) squared[row * cols + col] = far;
+      }
+    });
+
+    // Exact squared distances to the nearest outside cell, one dimension at a time (Felzenszwalb).
+    const line = new Float64Array(Math.max(cols, rows));
+    const result = new Float64Array(Math.max(cols, rows));
+    const hull = new Int32Array(Math.max(cols, rows));
+    const bounds1D = new Float64Array(Math.max(cols, rows) + 1);
+    const transform = (length) => {
+      let k = 0;
+      hull[0] = 0;
+      bounds1D[0] = -Infinity;
+      bounds1D[1] = Infinity;
+      for (let q = 1; q < length; q++) {
+        let s;
+        do {
+          const p = hull[k];
+          s = ((line[q] + q * q) - (line[p] + p * p)) / (2 * q - 2 * p);
+        } while (s <= bounds1D[k] && --k >= 0);
+        k++;
+        hull[k] = q;
+        bounds1D[k] = s;
+        bounds1D[k + 1] = Infinity;
+      }
+      for (let q = 0, j = 0; q < length; q++) {
+        while (bounds1D[j + 1] < q) j++;
+        result[q] = (q - hull[j]) * (q - hull[j]) + line[hull[j]];
+      }
+    };
+    for (let col = 0; col < cols; col++) {
+      for (let row = 0; row < rows; row++) line[row] = squared[row * cols + col];
+      transform(rows);
+      for (let row = 0; row < rows; row++) squared[row * cols + col] = result[row];
+    }
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) line[col] = squared[row * cols + col];
+      transform(cols);
+      for (let col = 0; col < cols; col++) squared[row * cols + col] = result[col];
+    }
+
+    // The edge lies about half a cell before the nearest outside cell centre.
+    const values = new Float32Array(cols * rows);
+    let max = 0;
+    squared.forEach((d, i) => {
+      values[i] = (Math.sqrt(d) - 0.5) * size;
+      max = Math.max(max, values[i]);
+    });
+    return { values, cols, rows, x: x0, y: y0, cellSize: size, max };
+  }
+
+  /**
+   * Traces one level of a distance field: the outlines of the polygon moved inwards by `distance`.
+   * @param {{values: Float32Array, cols: number, rows: number, x: number, y: number, cellSize: number}} field - The field from `distanceField`.
+   * @param {number} distance - The inset distance.
+   * @returns {Array<Array<{x: number, y: number}>>} The closed outlines; none once the polygon is too thin.
+   */
+  static insetOutlines(field, distance) {
+    const { values, cols, rows, x, y, cellSize } = field;
+    return this.traceContours(values, cols, rows, distance)
+      .filter(line => line.closed && line.points.length > 2)
+      .map(line => this.simplifyPolyline(
+        line.points.map(p => ({ x: x + p.x * cellSize, y: y + p.y * cellSize })), cellSize / 4, true
+      ))
+      .filter(points => points.length > 2);
+  }
+
+  /**
+   * Draws a shape onto a canvas context using the context's current fill and stroke styles.
+   * @param {CanvasRenderingContext2D} ctx - The canvas context to draw on.
+   * @param {object} shape - The shape.
+   */
+  static drawShape(ctx, shape) {
+    const round = shape.lineCap === 'round';
+    ctx.lineCap = round ? 'round' : 'butt';
+    ctx.lineJoin = round ? 'round' : 'miter';
+    ctx.beginPath();
+    if (shape.type === 'circle') {
+      ctx.arc(shape.cx, shape.cy, shape.r, 0, Math.PI * 2);
+    } else {
+      this.tracePolyline(ctx, shape.points, shape.type === 'polygon');
+    }
+    if (shape.filled) {
+      ctx.fill();
+    } else {
+      ctx.lineWidth = shape.strokeWidth;
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Strokes a set of polylines onto a canvas context with round caps, the way a pen would draw them.
+   * @param {CanvasRenderingContext2D} ctx - The canvas context to draw on.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} polylines - The polylines.
+   * @param {number} lineWidth - The pen width.
+   */
+  static drawPolylines(ctx, polylines, lineWidth) {
+    ctx.save();
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    polylines.forEach(polyline => this.tracePolyline(ctx, polyline.points, polyline.closed));
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Adds a polyline to the current canvas path.
+   * @param {CanvasRenderingContext2D} ctx - The canvas context.
+   * @param {Array<{x: number, y: number}>} points - The points.
+   * @param {boolean} closed - Whether to close the subpath.
+   */
+  static tracePolyline(ctx, points, closed) {
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    if (closed) ctx.closePath();
+  }
+
+  /**
+   * Scales and translates polylines, e.g. from image pixels to paper units.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} polylines - The polylines to transform.
+   * @param {{scale: number, xOffset: number, yOffset: number}} transform - The transform to apply.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} New, transformed polylines.
+   */
+  static transformPolylines(polylines, transform) {
+    const { scale, xOffset, yOffset } = transform;
+    return polylines.map(polyline => ({
+      ...polyline,
+      points: polyline.points.map(p => ({ x: p.x * scale + xOffset, y: p.y * scale + yOffset }))
+    }));
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.PlotGeometry = PlotGeometry;
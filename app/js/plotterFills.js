@@ -0,0 +1,379 @@
+/**
+ * @file Replaces filled shapes with pen strokes so that they can be drawn on a plotter.
+ * A pen cannot "fill" a circle or polygon, so each filled shape is covered with
+ * concentric outlines, a spiral or parallel hatch lines spaced by the pen width.
+ * Polygons that are not convex, like the ribbon of the spiral pattern, are filled
+ * with outlines traced from a distance field, so each ring is a single stroke.
+ */
+
+/**
+ * A class that converts filled shapes into stroke paths using a chosen fill strategy.
+ */
+class PlotterFills {
+  /**
+   * Converts every filled shape of a pattern into pen strokes.
+   * @param {object[]} shapes - The shapes produced by a pattern generator.
+   * @param {object} config - The processing configuration.
+   * @param {string} config.fillStrategy - 'concentric', 'spiral' or 'hatch'.
+   * @param {number} config.penWidth - The pen width, which is also the spacing between strokes.
+   * @param {number} [config.hatchAngle=45] - The hatch line angle in degrees.
+   * @returns {object[]} The shapes with filled shapes replaced by round-capped stroke polylines.
+   */
+  applyFillStrategy(shapes, config) {
+    const { fillStrategy, penWidth } = config;
+    const result = [];
+    shapes.forEach(shape => {
+      if (!shape.filled) {
+        result.push(shape);
+        return;
+      }
+      const strokes = this.fillShape(shape, fillStrategy, penWidth, config.hatchAngle || 0);
+      strokes.forEach(({ points, closed }) => {
+        result.push(closed
+          ? { type: 'polygon', filled: false, strokeWidth: penWidth, points, lineCap: 'round' }
+          : PlotGeometry.polyline(points, penWidth, 'round'));
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Produces the strokes that fill a single shape.
+   * Strokes are kept half a pen width inside the outline so the ink stays within the shape.
+   * Shapes too small for even one stroke are drawn as a single pen dot.
+   * Polygons that are not convex are handed to `fillConcavePolygon`.
+   * @param {object} shape - A filled circle or polygon shape.
+   * @param {string} strategy - 'concentric', 'spiral' or 'hatch'.
+   * @param {number} penWidth - The pen width.
+   * @param {number} hatchAngle - The hatch line angle in degrees.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The stroke polylines.
+   */
+  fillShape(shape, strategy, penWidth, hatchAngle) {
+    const inset = penWidth / 2;
+    let strokes;
+    if (shape.type === 'circle') {
+      if (shape.r <= inset) return [this.dot(shape.cx, shape.cy)];
+      switch (strategy) {
+        case 'spiral':
+          strokes = this.spiralFillCircle(shape.cx, shape.cy, shape.r - inset, penWidth);
+          break;
+        case 'hatch':
+          strokes = this.hatchFillPolygon(PlotGeometry.circleToPoints(shape.cx, shape.cy, shape.r - inset), penWidth, hatchAngle);
+          break;
+        case 'concentric':
+        default:
+          strokes = this.concentricFillCircle(shape.cx, shape.cy, shape.r - inset, penWidth);
+      }
+    } else if (!PlotGeometry.isConvex(shape.points)) {
+      strokes = this.fillConcavePolygon(shape.points, strategy, penWidth, hatchAngle);
+    } else {
+      const outline = this.offsetConvexPolygon(shape.points, inset);
+      if (!outline) {
+        const centroid = this.centroid(shape.points);
+        return [this.dot(centroid.x, centroid.y)];
+      }
+      switch (strategy) {
+        case 'spiral':
+          strokes = this.spiralFillPolygon(outline, penWidth);
+          break;
+        case 'hatch':
+          strokes = this.hatchFillPolygon(outline, penWidth, hatchAngle);
+          break;
+        case 'concentric':
+        default:
+          strokes = this.concentricFillPolygon(outline, penWidth);
+      }
+    }
+    return strokes;
+  }
+
+  /**
+   * Fills a polygon that is not convex. Its insets, half a pen width and then every further
+   * pen width inside the outline, are traced from a distance field; the spiral strategy uses
+   * the same rings as the concentric one. Hatching is clipped to the first ring.
+   * Parts thinner than the pen get no stroke, and a polygon thinner than the pen everywhere
+   * becomes a single pen dot.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @param {string} strategy - 'concentric', 'spiral' or 'hatch'.
+   * @param {number} penWidth - The pen width.
+   * @param {number} hatchAngle - The hatch line angle in degrees.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The stroke polylines, outermost first.
+   */
+  fillConcavePolygon(points, strategy, penWidth, hatchAngle) {
+    const field = PlotGeometry.distanceField(points, penWidth / 4);
+    const rings = [];
+    for (let distance = penWidth / 2; distance <= field.max; distance += penWidth) {
+      const outlines = PlotGeometry.insetOutlines(field, distance);
+      if (outlines.length === 0) break;
+      rings.push(outlines);
+    }
+    if (rings.length === 0) {
+      const centroid = this.centroid(points);
+      return [this.dot(centroid.x, centroid.y)];
+    }
+    if (strategy === 'hatch') return this.hatchFillLoops(rings[0], penWidth, hatchAngle);
+    return rings.flat().map(outline => ({ points: outline, closed: true }));
+  }
+
+  /**
+   * Creates a zero-length stroke, which a plotter draws as a single pen dot.
+   * @param {number} x - The x-coordinate.
+   * @param {number} y - The y-coordinate.
+   * @returns {{points: Array<{x: number, y: number}>, closed: boolean}} The dot stroke.
+   */
+  dot(x, y) {
+    return { points: [{ x, y }, { x, y }], closed: false };
+  }
+
+  /**
+   * Fills a circle with concentric rings spaced by the pen width.
+   * @param {number} cx - The centre x-coordinate.
+   * @param {number} cy - The centre y-coordinate.
+   * @param {number} radius - The radius of the outermost ring.
+   * @param {number} penWidth - The pen width.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The rings, outermost first.
+   */
+  concentricFillCircle(cx, cy, radius, penWidth) {
+    const strokes = [];
+    let r = radius;
+    for (; r > penWidth / 2; r -= penWidth) {
+      strokes.push({ points: PlotGeometry.circleToPoints(cx, cy, r), closed: true });
+    }
+    // A dot covers the small hole left in the middle.
+    if (r > 0) strokes.push(this.dot(cx, cy));
+    return strokes;
+  }
+
+  /**
+   * Fills a circle with an Archimedean spiral whose turns are one pen width apart.
+   * @param {number} cx - The centre x-coordinate.
+   * @param {number} cy - The centre y-coordinate.
+   * @param {number} radius - The outer radius of the spiral.
+   * @param {number} penWidth - The pen width.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The spiral as a single polyline.
+   */
+  spiralFillCircle(cx, cy, radius, penWidth) {
+    const turns = Math.max(1, radius / penWidth);
+    const stepsPerTurn = Math.max(16, Math.min(128, Math.ceil(Math.PI * 2 * radius / penWidth)));
+    const steps = Math.ceil(turns * stepsPerTurn);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const angle = t * turns * Math.PI * 2;
+      const r = radius * (1 - t);
+      points.push({ x: cx + Math.cos(angle) * r, y: cy + Math.sin(angle) * r });
+    }
+    return [{ points, closed: false }];
+  }
+
+  /**
+   * Fills a convex polygon with successively inset copies of its outline.
+   * @param {Array<{x: number, y: number}>} outline - The outermost outline.
+   * @param {number} penWidth - The pen width.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The outlines, outermost first.
+   */
+  concentricFillPolygon(outline, penWidth) {
+    const strokes = [];
+    let current = outline;
+    while (current) {
+      strokes.push({ points: current, closed: true });
+      current = this.offsetConvexPolygon(current, penWidth);
+    }
+    const centroid = this.centroid(strokes[strokes.length - 1].points);
+    strokes.push(this.dot(centroid.x, centroid.y));
+    return strokes;
+  }
+
+  /**
+   * Fills a star-shaped polygon with a spiral that follows its outline, shrinking towards the centroid.
+   * @param {Array<{x: number, y: number}>} outline - The outline to start from.
+   * @param {number} penWidth - The pen width.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The spiral as a single polyline.
+   */
+  spiralFillPolygon(outline, penWidth) {
+    const center = this.centroid(outline);
+    const maxRadius = Math.max(...outline.map(p => Math.hypot(p.x - center.x, p.y - center.y)));
+    const turns = Math.max(1, maxRadius / penWidth);
+    const stepsPerTurn = Math.max(24, Math.min(64, Math.ceil(Math.PI * 2 * maxRadius / penWidth)));
+    const steps = Math.ceil(turns * stepsPerTurn);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const angle = t * turns * Math.PI * 2;
+      const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+      const r = this.rayPolygonDistance(center, dir, outline) * (1 - t);
+      points.push({ x: center.x + dir.x * r, y: center.y + dir.y * r });
+    }
+    return [{ points, closed: false }];
+  }
+
+  /**
+   * Fills a polygon with parallel lines spaced by the pen width at a given angle, plus its outline.
+   * When every hatch line crosses the polygon only once, the lines are joined into a single
+   * zig-zag stroke so the pen does not lift between them.
+   * @param {Array<{x: number, y: number}>} outline - The polygon to fill.
+   * @param {number} penWidth - The pen width.
+   * @param {number} angle - The hatch angle in degrees.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The outline and hatch strokes.
+   */
+  hatchFillPolygon(outline, penWidth, angle) {
+    return this.hatchFillLoops([outline], penWidth, angle);
+  }
+
+  /**
+   * Hatches the area inside a set of closed outlines, taken together with the even-odd rule,
+   * and draws the outlines. See `hatchFillPolygon`.
+   * @param {Array<Array<{x: number, y: number}>>} loops - The outlines.
+   * @param {number} penWidth - The pen width.
+   * @param {number} angle - The hatch angle in degrees.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The outlines and hatch strokes.
+   */
+  hatchFillLoops(loops, penWidth, angle) {
+    const angleRad = angle * Math.PI / 180;
+    const cosA = Math.cos(angleRad);
+    const sinA = Math.sin(angleRad);
+    // Rotate the polygon so the hatch lines become horizontal.
+    const rotatedLoops = loops.map(loop => loop.map(p => ({ x: p.x * cosA + p.y * sinA, y: -p.x * sinA + p.y * cosA })));
+    const unrotate = (x, y) => ({ x: x * cosA - y * sinA, y: x * sinA + y * cosA });
+
+    let minY = Infinity;
+    let maxY = -Infinity;
+    rotatedLoops.forEach(rotated => rotated.forEach(p => {
+      minY = Math.min(minY, p.y);
+      maxY = Math.max(maxY, p.y);
+    }));
+    const rows = [];
+    for (let y = minY + penWidth / 2; y < maxY; y += penWidth) {
+      const xs = [];
+      rotatedLoops.forEach(rotated => {
+        for (let i = 0; i < rotated.length; i++) {
+          const a = rotated[i];
+          const b = rotated[(i + 1) % rotated.length];
+          if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+            xs.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+          }
+        }
+      });
+      xs.sort((a, b) => a - b);
+      const segments = [];
+      for (let i = 0; i + 1 < xs.length; i += 2) {
+        segments.push([unrotate(xs[i], y), unrotate(xs[i + 1], y)]);
+      }
+      rows.push(segments);
+    }
+
+    const strokes = loops.map(loop => ({ points: loop, closed: true }));
+    if (loops.length === 1 && rows.every(segments => segments.length <= 1)) {
+      const zigzag = [];
+      rows.forEach((segments, i) => {
+        if (segments.length === 0) return;
+        zigzag.push(...(i % 2 === 0 ? segments[0] : segments[0].slice().reverse()));
+      });
+      if (zigzag.length > 1) strokes.push({ points: zigzag, closed: false });
+    } else {
+      rows.forEach(segments => segments.forEach(segment => strokes.push({ points: segment, closed: false })));
+    }
+    return strokes;
+  }
+
+  /**
+   * Moves every edge of a convex polygon inwards by a fixed distance.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @param {number} distance - The inset distance.
+   * @returns {Array<{x: number, y: number}>|null} The inset polygon, or null if it collapses.
+   */
+  offsetConvexPolygon(points, distance) {
+    const count = points.length;
+    if (count < 3) return null;
+    const area = this.signedArea(points);
+    if (Math.abs(area) < 1e-9) return null;
+    // For a counter-clockwise polygon (in y-down screen space: clockwise) the interior is on the left.
+    const side = area > 0 ? 1 : -1;
+
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % count];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      if (length < 1e-9) continue;
+      const nx = -(b.y - a.y) / length * side;
+      const ny = (b.x - a.x) / length * side;
+      lines.push({ x: a.x + nx * distance, y: a.y + ny * distance, dx: b.x - a.x, dy: b.y - a.y });
+    }
+    if (lines.length < 3) return null;
+
+    const result = [];
+    for (let i = 0; i < lines.length; i++) {
+      const l1 = lines[(i + lines.length - 1) % lines.length];
+      const l2 = lines[i];
+      const denom = l1.dx * l2.dy - l1.dy * l2.dx;
+      if (Math.abs(denom) < 1e-12) {
+        result.push({ x: l2.x, y: l2.y });
+        continue;
+      }
+      const t = ((l2.x - l1.x) * l2.dy - (l2.y - l1.y) * l2.dx) / denom;
+      result.push({ x: l1.x + l1.dx * t, y: l1.y + l1.dy * t });
+    }
+
+    // The inset has collapsed once any edge flips direction or the orientation changes.
+    for (let i = 0; i < result.length; i++) {
+      const a = result[i];
+      const b = result[(i + 1) % result.length];
+      if ((b.x - a.x) * lines[i].dx + (b.y - a.y) * lines[i].dy <= 0) return null;
+    }
+    const newArea = this.signedArea(result);
+    if (Math.sign(newArea) !== Math.sign(area) || Math.abs(newArea) < 1e-6) return null;
+    return result;
+  }
+
+  /**
+   * Calculates the signed area of a polygon using the shoelace formula.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @returns {number} The signed area.
+   */
+  signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  /**
+   * Calculates the vertex centroid of a polygon.
+   * @param {Array<{x: number, y: number}>} points - The polygon vertices.
+   * @returns {{x: number, y: number}} The centroid.
+   */
+  centroid(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+
+  /**
+   * Finds the distance from a point inside a polygon to its boundary along a ray.
+   * @param {{x: number, y: number}} origin - The ray origin.
+   * @param {{x: number, y: number}} dir - The unit ray direction.
+   * @param {Array<{x: number, y: number}>} polygon - The polygon vertices.
+   * @returns {number} The distance to the nearest boundary crossing, or 0 if there is none.
+   */
+  rayPolygonDistance(origin, dir, polygon) {
+    let nearest = Infinity;
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const denom = dir.x * ey - dir.y * ex;
+      if (Math.abs(denom) < 1e-12) continue;
+      const t = ((a.x - origin.x) * ey - (a.y - origin.y) * ex) / denom;
+      const u = ((a.x - origin.x) * dir.y - (a.y - origin.y) * dir.x) / denom;
+      if (t >= 0 && u >= 0 && u <= 1) nearest = Math.min(nearest, t);
+    }
+    return Number.isFinite(nearest) ? nearest : 0;
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.PlotterFills = PlotterFills;
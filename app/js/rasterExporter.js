@@ -0,0 +1,315 @@
+/**
+ * @file Renders the halftone geometry to high-resolution bitmaps (PNG or TIFF).
+ * The output is re-rendered from the vector data at a chosen DPI, independent of
+ * the on-screen preview, as a multiply composite or as grayscale channel films.
+ */
+
+/**
+ * A class that rasterizes the per-channel geometry held by an `SVGExporter`
+ * and offers the bitmaps for download.
+ */
+class RasterExporter {
+  /**
+   * The largest bitmap, in pixels, that will be rendered. Larger requests are rejected
+   * because browsers fail to allocate canvases much beyond this size.
+   * @type {number}
+   */
+  static MAX_PIXELS = 100000000;
+
+  /**
+   * Initializes the RasterExporter.
+   * @param {SVGExporter} svgExporter - The exporter holding the generated geometry and paper settings.
+   */
+  constructor(svgExporter) {
+    /**
+     * The SVG exporter that provides channel geometry and paper fitting.
+     * @type {SVGExporter}
+     */
+    this.svgExporter = svgExporter;
+
+    /**
+     * Default raster settings, used for any value missing from `config.raster`.
+     * A width of 0 renders the whole page; otherwise only the image, at that width in mm.
+     * @type {{dpi: number, width: number, background: string, paperColor: string}}
+     */
+    this.defaults = {
+      dpi: 300,
+      width: 0,
+      background: 'paper',
+      paperColor: '#ffffff'
+    };
+
+    /**
+     * The lookup table for the CRC-32 checksums of PNG chunks.
+     * @type {Uint32Array}
+     */
+    this.crcTable = new Uint32Array(256).map((_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+
+  /**
+   * Calculates the bitmap size and the transform from image pixels to bitmap pixels.
+   * @param {number} imageWidth - The width of the content in image pixels.
+   * @param {number} imageHeight - The height of the content in image pixels.
+   * @param {object} config - The application configuration, including `raster` and paper settings.
+   * @param {{pxPerMm: number}|null} [physical=null] - The physical size settings of the stored geometry.
+   * @returns {{width: number, height: number, dpi: number, scale: number, xOffset: number, yOffset: number, marks: object[]}}
+   * The layout; `marks` holds the print marks in bitmap pixels.
+   */
+  getRasterLayout(imageWidth, imageHeight, config, physical = null) {
+    const settings = { ...this.defaults, ...config.raster };
+    const dpi = Math.max(1, settings.dpi);
+
+    if (settings.width > 0) {
+      const scale = settings.width / 25.4 * dpi / imageWidth;
+      return {
+        width: Math.round(imageWidth * scale),
+        height: Math.round(imageHeight * scale),
+        dpi, scale, xOffset: 0, yOffset: 0, marks: []
+      };
+    }
+
+    const transform = this.svgExporter.getPhysicalTransform(imageWidth, imageHeight, config, physical);
+    const pxPerUnit = dpi / (transform.unit === 'in' ? 1 : 25.4);
+    const marks = this.svgExporter.getPrintMarks(imageWidth, imageHeight, config, physical);
+    return {
+      width: Math.round(transform.pageWidth * pxPerUnit),
+      height: Math.round(transform.pageHeight * pxPerUnit),
+      dpi,
+      scale: transform.scale * pxPerUnit,
+      xOffset: transform.xOffset * pxPerUnit,
+      yOffset: transform.yOffset * pxPerUnit,
+      marks: PlotGeometry.transformPolylines(marks, { scale: pxPerUnit, xOffset: 0, yOffset: 0 })
+    };
+  }
+
+  /**
+   * Draws one channel's shapes, and the print marks, onto a transparent canvas.
+   * @param {HTMLCanvasElement} canvas - The canvas to draw on; it is cleared first.
+   * @param {object[]} shapes - The channel's shapes.
+   * @param {object} layout - The layout returned by `getRasterLayout`.
+   * @param {string} color - The ink color.
+   */
+  renderChannel(canvas, shapes, layout, color) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+
+    ctx.save();
+    ctx.setTransform(layout.scale, 0, 0, layout.scale, layout.xOffset, layout.yOffset);
+    shapes.forEach(shape => PlotGeometry.drawShape(ctx, shape));
+    ctx.restore();
+
+    if (layout.marks.length > 0) {
+      PlotGeometry.drawPolylines(ctx, layout.marks, Math.max(1, layout.dpi / 100));
+    }
+  }
+
+  /**
+   * Renders a channel, or the multiply composite of all channels, to a canvas.
+   * Channel bitmaps are grayscale films: black ink on a white or transparent background.
+   * @param {string} channel - The channel name, or 'combined' for the composite of `config.channelNames`.
+   * @param {object} config - The application configuration, including `colors` and `raster` settings.
+   * @returns {{canvas: HTMLCanvasElement, dpi: number, grayscale: boolean}|null} The rendered bitmap, or null if there is no data.
+   */
+  render(channel, config) {
+    const layers = this.svgExporter.getLayers(channel, config);
+    if (layers.length === 0) return null;
+
+    const dimensions = this.svgExporter.getDimensions(layers[0].channel);
+    const settings = { ...this.defaults, ...config.raster };
+    const layout = this.getRasterLayout(dimensions.width, dimensions.height, config, dimensions.physical);
+    if (layout.width * layout.height > RasterExporter.MAX_PIXELS) {
+      throw new Error(`The bitmap would be ${layout.width} × ${layout.height}px. Lower the DPI or the output size.`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    const ctx = canvas.getContext('2d');
+    const grayscale = channel !== 'combined';
+
+    if (grayscale) {
+      this.renderChannel(canvas, layers[0].shapes, layout, '#000000');
+    } else {
+      // Same compositing as the on-screen preview: each channel multiplies onto the result.
+      const layer = document.createElement('canvas');
+      layer.width = layout.width;
+      layer.height = layout.height;
+      ctx.globalCompositeOperation = 'multiply';
+      layers.forEach(({ channel: name, shapes }) => {
+        this.renderChannel(layer, shapes, layout, (config.colors || {})[name] || '#000000');
+        ctx.drawImage(layer, 0, 0);
+      });
+      layer.width = 0; // Release the layer's memory early.
+    }
+
+    if (settings.background === 'paper') {
+      ctx.globalCompositeOperation = 'destination-over';
+      ctx.fillStyle = grayscale ? '#ffffff' : settings.paperColor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.globalCompositeOperation = 'source-over';
+    return { canvas, dpi: layout.dpi, grayscale };
+  }
+
+  /**
+   * Encodes a rendered bitmap as a PNG with its resolution recorded in a pHYs chunk.
+   * @param {HTMLCanvasElement} canvas - The rendered canvas.
+   * @param {number} dpi - The resolution in dots per inch.
+   * @returns {Promise<Blob>} The PNG file.
+   */
+  async encodePNG(canvas, dpi) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    // pHYs: pixels per metre on both axes, unit 1 (metre). It goes right after IHDR (8 + 25 bytes).
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1;
+    view.setUint32(17, this.crc32(chunk.subarray(4, 17)));
+
+    const ihdrEnd = 33;
+    return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+  }
+
+  /**
+   * Calculates the CRC-32 checksum used by PNG chunks.
+   * @param {Uint8Array} bytes - The chunk type and data.
+   * @returns {number} The checksum.
+   */
+  crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Encodes a rendered bitmap as an uncompressed baseline TIFF. Channel films are written
+   * as 8-bit grayscale (black ink has value 0), the composite as RGB; an alpha channel is
+   * added when the background is transparent.
+   * @param {HTMLCanvasElement} canvas - The rendered canvas.
+   * @param {number} dpi - The resolution in dots per inch.
+   * @param {boolean} grayscale - Whether to write a grayscale image.
+   * @param {boolean} alpha - Whether to keep the alpha channel.
+   * @returns {Blob} The TIFF file.
+   */
+  encodeTIFF(canvas, dpi, grayscale, alpha) {
+    const { width, height } = canvas;
+    const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const samples = (grayscale ? 1 : 3) + (alpha ? 1 : 0);
+    const pixels = new Uint8Array(width * height * samples);
+    for (let i = 0, j = 0; i < rgba.length; i += 4) {
+      if (grayscale) {
+        pixels[j++] = alpha ? rgba[i] : Math.round(0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2]);
+      } else {
+        pixels[j++] = rgba[i];
+        pixels[j++] = rgba[i + 1];
+        pixels[j++] = rgba[i + 2];
+      }
+      if (alpha) pixels[j++] = rgba[i + 3];
+    }
+
+    // Layout: header, IFD, then the out-of-line values (bits per sample, resolutions), then the pixels.
+    const tags = [
+      [256, 4, 1, width],                       // ImageWidth
+      [257, 4, 1, height],                      // ImageLength
+      [258, 3, samples, null],                  // BitsPerSample (8 each)
+      [259, 3, 1, 1],                           // Compression: none
+      [262, 3, 1, grayscale ? 1 : 2],           // PhotometricInterpretation: BlackIsZero or RGB
+      [273, 4, 1, null],                        // StripOffsets
+      [277, 3, 1, samples],                     // SamplesPerPixel
+      [278, 4, 1, height],                      // RowsPerStrip
+      [279, 4, 1, pixels.length],               // StripByteCounts
+      [282, 5, 1, null],                        // XResolution
+      [283, 5, 1, null],                        // YResolution
+      [284, 3, 1, 1],                           // PlanarConfiguration: chunky
+      [296, 3, 1, 2]                            // ResolutionUnit: inch
+    ];
+    if (alpha) tags.push([338, 3, 1, 2]);       // ExtraSamples: unassociated alpha
+
+    const ifdOffset = 8;
+    const ifdSize = 2 + tags.length * 12 + 4;
+    const bitsOffset = ifdOffset + ifdSize;
+    const resolutionOffset = bitsOffset + samples * 2;
+    const pixelOffset = resolutionOffset + 16;
+    const buffer = new ArrayBuffer(pixelOffset + pixels.length);
+    const view = new DataView(buffer);
+
+    view.setUint16(0, 0x4949); // "II": little-endian
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    view.setUint16(ifdOffset, tags.length, true);
+    tags.forEach(([tag, type, count, value], index) => {
+      const entry = ifdOffset + 2 + index * 12;
+      view.setUint16(entry, tag, true);
+      view.setUint16(entry + 2, type, true);
+      view.setUint32(entry + 4, count, true);
+      if (tag === 258) value = samples > 2 ? bitsOffset : 8 | (8 << 16);
+      if (tag === 273) value = pixelOffset;
+      if (tag === 282) value = resolutionOffset;
+      if (tag === 283) value = resolutionOffset + 8;
+      if (type === 3 && count === 1) view.setUint16(entry + 8, value, true);
+      else view.setUint32(entry + 8, value, true);
+    });
+    view.setUint32(ifdOffset + 2 + tags.length * 12, 0, true); // No further IFDs.
+
+    for (let i = 0; i < samples; i++) view.setUint16(bitsOffset + i * 2, 8, true);
+    [0, 8].forEach(offset => {
+      view.setUint32(resolutionOffset + offset, Math.round(dpi * 100), true);
+      view.setUint32(resolutionOffset + offset + 4, 100, true);
+    });
+    new Uint8Array(buffer, pixelOffset).set(pixels);
+
+    return new Blob([buffer], { type: 'image/tiff' });
+  }
+
+  /**
+   * Renders and downloads a bitmap for a channel or the composite.
+   * @param {string} channel - The channel name, or 'combined'.
+   * @param {object} [config={}] - The application configuration.
+   * @param {string} [format='png'] - The file format: 'png' or 'tiff'.
+   * @returns {Promise<void>} Resolves once the download has been offered.
+   */
+  async downloadRaster(channel, config = {}, format = 'png') {
+    const result = this.render(channel, config);
+    if (!result) {
+      console.error(`No raster data found for channel: ${channel}`);
+      return;
+    }
+    const { canvas, dpi, grayscale } = result;
+    const transparent = { ...this.defaults, ...config.raster }.background === 'transparent';
+    const blob = format === 'tiff'
+      ? this.encodeTIFF(canvas, dpi, grayscale, transparent)
+      : await this.encodePNG(canvas, dpi);
+    canvas.width = 0; // Release the bitmap's memory.
+    this.svgExporter.downloadFile(blob, `halftone-${channel}-${dpi}dpi-${new Date().getTime()}.${format === 'tiff' ? 'tif' : 'png'}`, blob.type);
+  }
+
+  /**
+   * Downloads the grayscale bitmap of every channel followed by the composite.
+   * Bitmaps are rendered one at a time to keep memory use down.
+   * @param {object} [config={}] - The application configuration.
+   * @param {string} [format='png'] - The file format: 'png' or 'tiff'.
+   * @returns {Promise<void>} Resolves once every download has been offered.
+   */
+  async downloadAllChannels(config = {}, format = 'png') {
+    const channels = this.svgExporter.getChannels('combined', config);
+    for (const channel of [...channels, 'combined']) {
+      await this.downloadRaster(channel, config, format);
+      await new Promise(resolve => setTimeout(resolve, 500)); // Stagger downloads to prevent browser blocking.
+    }
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.RasterExporter = RasterExporter;
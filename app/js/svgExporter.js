@@ -1,25 +1,32 @@
 /**
- * @file Manages the creation, optimization, and exporting of SVG files.
+ * @file Manages the creation and exporting of SVG files.
  * This module handles generating layered SVGs for color separated channels.
  */
 
 /**
  * A class to handle all SVG export-related functionalities.
- * It stores SVG data for each channel, generates combined views,
- * optimizes the output, and provides download methods.
+ * It stores the generated geometry of each channel, which every other exporter
+ * reads, and streams single-channel, layered and paper-sized SVG files from it.
  */
 class SVGExporter {
+  /**
+   * Millimetres per image pixel when no paper size is selected (96 pixels per inch).
+   * @type {number}
+   */
+  static MM_PER_PX = 25.4 / 96;
+
   /**
    * Initializes the SVGExporter.
    */
   constructor() {
     /**
-     * An object to store the raw SVG string data for each channel (e.g., 'cyan', 'combined').
-     * @type {Object.<string, string>}
+     * The generated geometry of each channel (e.g., 'cyan'), as returned by `HalftonePatterns.generatePattern`.
+     * @type {Object.<string, {width: number, height: number, color: string, physical: object|null, shapes: object[], travel: object|null}>}
      */
-    this.svgData = {};
+    this.geometry = {};
     /**
-     * A store for paper size definitions.
+     * A store for paper size definitions, in portrait orientation with their default margins.
+     * The 'custom' size is read from `config.paper` instead (see `getPaper`).
      * @type {Object.<string, object>}
      */
     this.paperSizes = {
@@ -29,40 +36,114 @@ class SVGExporter {
       'letter': { width: 8.5, height: 11, unit: 'in', margin: 0.25 },
       'tabloid': { width: 11, height: 17, unit: 'in', margin: 0.5 },
     };
+    /**
+     * The knockout stage applied to combined output.
+     * @type {Knockout}
+     */
+    this.knockout = new Knockout();
+    /**
+     * The most recent knockout result, with the settings it was computed for.
+     * @type {{key: string, layers: Array<{channel: string, shapes: object[]}>}|null}
+     */
+    this.knockoutCache = null;
   }
 
   /**
-   * Stores the generated SVG string for a specific channel.
+   * Stores the generated geometry for a specific channel.
    * @param {string} channel - The name of the channel (e.g., 'cyan', 'magenta').
-   * @param {string} svg - The full SVG content as a string.
+   * @param {{width: number, height: number, color: string, physical: object|null, shapes: object[], travel: object|null}} geometry - The channel geometry.
+   */
+  storeGeometry(channel, geometry) {
+    this.geometry[channel] = geometry;
+    this.knockoutCache = null;
+  }
+
+  /**
+   * Resolves which stored channels an export covers.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`.
+   * @param {object} config - The application configuration.
+   * @returns {string[]} The channels that have geometry, in `config.channelNames` order for 'combined'.
+   */
+  getChannels(channel, config) {
+    const channels = channel === 'combined' ? (config.channelNames || []) : [channel];
+    return channels.filter(name => this.geometry[name]);
+  }
+
+  /**
+   * Returns the shapes of every channel an export covers. For combined output, the knockout
+   * set in `config.knockout` removes ink from lower-priority channels where others cover it.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`.
+   * @param {object} config - The application configuration.
+   * @returns {Array<{channel: string, shapes: object[]}>} One layer per channel, in `getChannels` order.
+   */
+  getLayers(channel, config) {
+    const channels = this.getChannels(channel, config);
+    const layers = channels.map(name => ({ channel: name, shapes: this.geometry[name].shapes }));
+    const knockout = config.knockout || {};
+    if (channel !== 'combined' || !knockout.enabled || layers.length < 2) return layers;
+
+    const key = JSON.stringify([channels, knockout.priority, knockout.trap]);
+    if (!this.knockoutCache || this.knockoutCache.key !== key) {
+      this.knockoutCache = { key, layers: this.knockout.apply(layers, knockout) };
+    }
+    return this.knockoutCache.layers;
+  }
+
+  /**
+   * Returns the size of the image the channel geometry was generated for.
+   * @param {string} channel - The channel name.
+   * @returns {{width: number, height: number, physical: object|null}|null} The dimensions in image pixels
+   * and the physical size settings they were generated with, or null if there is no data.
    */
-  storeSVG(channel, svg) {
-    this.svgData[channel] = svg;
+  getDimensions(channel) {
+    const geometry = this.geometry[channel];
+    return geometry ? { width: geometry.width, height: geometry.height, physical: geometry.physical } : null;
+  }
+
+  /**
+   * Reports the pen-up travel savings of the path ordering done when the channels were generated.
+   * @param {object} config - The application configuration, including `channelNames` and `paperSize`.
+   * @returns {Array<{channel: string, before: number, after: number, unit: string}>}
+   * The travel distance per channel before and after ordering, in physical output units;
+   * channels generated without path ordering are left out.
+   */
+  getTravelReport(config) {
+    return this.getChannels('combined', config).filter(channel => this.geometry[channel].travel).map(channel => {
+      const result = this.geometry[channel].travel;
+      const dimensions = this.getDimensions(channel);
+      const { scale, unit } = this.getPhysicalTransform(dimensions.width, dimensions.height, config, dimensions.physical);
+      return { channel, before: result.before * scale, after: result.after * scale, unit };
+    });
   }
 
   /**
    * Triggers the download of an SVG file for a specified channel.
-   * @param {string} channel - The channel name to download.
+   * @param {string} channel - The channel name to download, or 'combined' for a layered file.
    * @param {object} [config={}] - The application configuration, including paper size.
    */
   downloadSVG(channel, config = {}) {
-    let svgContent = this.svgData[channel];
-    if (!svgContent) {
+    if (this.getChannels(channel, config).length === 0) {
       console.error(`No SVG data found for channel: ${channel}`);
       return;
     }
+    const chunks = config.exportFormat === 'inkscape'
+      ? this.generateInkscapeSVG(channel, config)
+      : this.generateSVG(channel, config);
+    this.downloadFile(SVGSerializer.toBlob(chunks), `halftone-${channel}-${new Date().getTime()}.svg`, 'image/svg+xml');
+  }
 
-    // If a paper size is selected, re-format the SVG.
-    if (config.paperSize && config.paperSize !== 'image' && channel === 'combined') {
-      svgContent = this.formatSVGForPaper(svgContent, config);
-    }
-
-    const optimizedSVG = this.optimizeSVG(svgContent, channel);
-    const blob = new Blob([optimizedSVG], { type: 'image/svg+xml' });
+  /**
+   * Offers the given content to the user as a file download.
+   * @param {string|Blob} content - The file content.
+   * @param {string} filename - The suggested file name.
+   * @param {string} mimeType - The MIME type of the content.
+   */
+  downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `halftone-${channel}-${new Date().getTime()}.svg`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -70,162 +151,336 @@ class SVGExporter {
   }
 
   /**
-   * Generates a single, combined SVG file from all individual channel data.
-   * This method creates a properly layered SVG where each channel is in a separate group (<g>),
-   * allowing for easy editing in vector software like Adobe Illustrator or Inkscape.
-   * @param {number} width - The width of the SVG canvas.
-   * @param {number} height - The height of the SVG canvas.
-   * @param {string[]} channels - The channels to include (e.g., ['cyan', 'magenta', ...]).
-   * @param {Object.<string, string>} colors - A map of channel names to hex color codes.
-   * @returns {string} The complete, layered SVG content as a string.
+   * Streams the SVG document for a channel, or a layered document for all channels.
+   * Each channel is a separate group (<g>) whose `color` sets its ink, allowing for easy
+   * editing in vector software like Adobe Illustrator or Inkscape. When a paper size is
+   * selected the content is placed on the page with the same transform for every file,
+   * so the channels line up when plotted one after the other.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`.
+   * @param {object} config - The application configuration, including `colors` and paper settings.
+   * @yields {string} The next chunk of the document.
    */
-  generateCombinedSVG(width, height, channels, colors) {
-    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" color-interpolation-filters="sRGB">`;
-    svg += `<title>Combined Halftone Pattern (Layered)</title>`;
-    svg += `<desc>Generated by Advanced Halftone Plotter Tool. Each channel is in a separate group for easy editing.</desc>`;
-
-    // Define styles for each layer, allowing colors to be edited easily via CSS.
-    // mix-blend-mode: multiply is crucial for simulating CMYK overprinting.
-    svg += `<defs><style type="text/css">`;
-    svg += `.background { fill: white; }`;
-    channels.forEach(channel => {
-      const channelColor = colors[channel];
-      svg += `.${channel}-layer { fill: ${channelColor}; stroke: ${channelColor}; mix-blend-mode: multiply; }`;
-    });
-    svg += `</style></defs>`;
-
-    // Add a white background rectangle.
-    svg += `<rect width="100%" height="100%" class="background"/>`;
+  *generateSVG(channel, config) {
+    const layers = this.getLayers(channel, config);
+    if (layers.length === 0) return;
+    const { width, height, physical } = this.geometry[layers[0].channel];
+    const combined = channel === 'combined';
+    const transform = this.getPaperTransform(width, height, config, physical);
+    const metadata = `data-channel="${channel}" data-generated="${new Date().toISOString()}"`;
 
-    // Add each channel as a distinct, classed group (layer).
-    channels.forEach(channel => {
-      const channelSvg = this.svgData[channel];
-      if (channelSvg) {
-        // Extract only the inner <g> content from the worker-generated SVG
-        const gMatch = channelSvg.match(/<g[^>]*>(.*?)<\/g>/s);
-        const elements = gMatch ? gMatch[1] : '';
-
-        svg += `<g id="${channel}-channel" class="${channel}-layer">`;
-        svg += `<title>${channel.toUpperCase()} Channel</title>`;
-        svg += this.optimizePathData(elements);
-        svg += '</g>';
+    if (transform) {
+      const { paper } = transform;
+      yield `<svg width="${paper.width}${paper.unit}" height="${paper.height}${paper.unit}" viewBox="0 0 ${paper.width} ${paper.height}" xmlns="http://www.w3.org/2000/svg" color-interpolation-filters="sRGB" ${metadata}>`;
+      yield `<title>Halftone for ${config.paperSize.toUpperCase()} Paper</title>`;
+      yield physical
+        ? `<desc>Content placed at its physical size.</desc>`
+        : `<desc>Content scaled to fit within a ${paper.margin}${paper.unit} margin.</desc>`;
+    } else {
+      // In physical units mode the document is sized in millimetres, with the pixel grid as its user space.
+      const size = physical
+        ? `width="${physical.widthMm.toFixed(3)}mm" height="${physical.heightMm.toFixed(3)}mm" viewBox="0 0 ${width} ${height}"`
+        : `width="${width}" height="${height}"`;
+      yield `<svg ${size} xmlns="http://www.w3.org/2000/svg" color-interpolation-filters="sRGB" ${metadata}>`;
+      if (combined) {
+        yield `<title>Combined Halftone Pattern (Layered)</title>`;
+        yield `<desc>Generated by Advanced Halftone Plotter Tool. Each channel is in a separate group for easy editing.</desc>`;
       }
-    });
+    }
 
-    svg += `<!-- Layer Info: ${channels.length} channels, Generated: ${new Date().toISOString()} -->`;
-    svg += '</svg>';
+    if (combined) {
+      // Define styles for each layer, allowing colors to be edited easily via CSS.
+      // mix-blend-mode: multiply is crucial for simulating CMYK overprinting.
+      let style = `<defs><style type="text/css">`;
+      layers.forEach(({ channel: name }) => {
+        style += `.${name}-layer { color: ${this.getColor(name, config)}; mix-blend-mode: multiply; }`;
+      });
+      yield style + `</style></defs>`;
+    }
 
-    this.storeSVG('combined', svg);
-    return svg;
-  }
+    if (transform) {
+      yield `<g transform="translate(${transform.xOffset.toFixed(3)} ${transform.yOffset.toFixed(3)}) scale(${transform.scale.toFixed(5)})">`;
+    } else {
+      yield `<rect width="100%" height="100%" fill="white"/>`;
+    }
 
-  /**
-   * Extracts the inner elements (circles, polygons, etc.) from a full SVG string.
-   * @param {string} svgString - The full SVG content.
-   * @returns {string} The string of SVG elements inside the main group.
-   */
-  extractSVGElements(svgString) {
-    const match = svgString.match(/<svg[^>]*>(.*?)<\/svg>/s);
-    if (match && match[1]) {
-      // Return everything inside the <svg> tag.
-      return match[1];
+    for (const { channel: name, shapes } of layers) {
+      yield `<g id="${name}-channel" class="${name}-layer" color="${this.getColor(name, config)}" fill="currentColor">`;
+      if (combined) yield `<title>${name.toUpperCase()} Channel</title>`;
+      yield* SVGSerializer.serializeShapes(shapes);
+      yield '</g>';
     }
-    return '';
+
+    if (transform) {
+      yield `</g>`;
+      const marks = this.getPrintMarks(width, height, config, physical);
+      if (marks.length > 0) {
+        const markWidth = transform.paper.unit === 'in' ? 0.01 : 0.25;
+        yield `<g id="print-marks" fill="none" stroke="black" stroke-width="${markWidth}">`;
+        yield `<path d="${SVGSerializer.pathData(marks, transform.paper.unit === 'in' ? 4 : 2)}"/>`;
+        yield `</g>`;
+      }
+    }
+    yield '</svg>';
   }
 
   /**
-   * Optimizes path data by rounding floating-point numbers to a fixed precision.
-   * @param {string} svgContent - The SVG content string.
-   * @returns {string} The SVG content with optimized coordinates.
+   * Returns the ink color of a channel: the configured color, or the one it was generated with.
+   * @param {string} channel - The channel name.
+   * @param {object} config - The application configuration, including `colors`.
+   * @returns {string} The hex color.
    */
-  optimizePathData(svgContent) {
-    // This regex rounds any floating point number with 3 or more decimal places to 2.
-    return svgContent.replace(/(\d+\.\d{3,})/g, (match) => parseFloat(match).toFixed(2));
+  getColor(channel, config) {
+    return (config.colors || {})[channel] || this.geometry[channel]?.color || '#000000';
   }
 
   /**
-   * Performs basic optimizations on an SVG string to reduce file size.
-   * @param {string} svg - The SVG content to optimize.
-   * @param {string} [channel=''] - The channel name for metadata.
-   * @returns {string} The optimized SVG string.
+   * Streams an SVG with real Inkscape layers for AxiDraw and other plotter software,
+   * which ignore CSS blending. Each channel becomes a top-level layer labelled
+   * "<number> - <channel>" with its color set inline. When `config.layerPauses` is set,
+   * every layer after the first is prefixed with "!", which makes AxiDraw pause for a pen change.
+   * The page uses physical units, and the page transform is applied inside each layer
+   * so the layers stay direct children of the document.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`, in plotting order.
+   * @param {object} config - The application configuration, including `colors` and paper settings.
+   * @yields {string} The next chunk of the document.
    */
-  optimizeSVG(svg, channel = '') {
-    let optimized = svg;
-    // Add metadata
-    optimized = optimized.replace('<svg', `<svg data-channel="${channel}" data-generated="${new Date().toISOString()}"`);
-    // Round coordinates
-    optimized = this.optimizePathData(optimized);
-    // Remove extra whitespace
-    optimized = optimized.replace(/\s+/g, ' ').replace(/>\s+</g, '><');
+  *generateInkscapeSVG(channel, config) {
+    const layers = this.getLayers(channel, config);
+    if (layers.length === 0) return;
+    const dimensions = this.getDimensions(layers[0].channel);
+    const transform = this.getPhysicalTransform(dimensions.width, dimensions.height, config, dimensions.physical);
+    const { scale, xOffset, yOffset, unit, pageWidth, pageHeight } = transform;
+    const marks = this.getPrintMarks(dimensions.width, dimensions.height, config, dimensions.physical);
+    const markWidth = unit === 'in' ? 0.01 : 0.25;
 
-    const originalSize = svg.length;
-    const optimizedSize = optimized.length;
-    const compression = ((originalSize - optimizedSize) / originalSize * 100).toFixed(1);
+    yield `<svg width="${pageWidth.toFixed(3)}${unit}" height="${pageHeight.toFixed(3)}${unit}" viewBox="0 0 ${pageWidth.toFixed(3)} ${pageHeight.toFixed(3)}" xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">`;
+    yield `<title>Halftone Plot Layers</title>`;
+    yield `<desc>Generated by Advanced Halftone Plotter Tool. One Inkscape layer per channel, in plotting order.</desc>`;
 
-    // Add optimization comment
-    if (compression > 0) {
-      optimized = optimized.replace('</svg>', `<!-- Optimized: ${compression}% smaller --></svg>`);
+    for (const [index, { channel, shapes }] of layers.entries()) {
+      const color = this.getColor(channel, config);
+      const pause = config.layerPauses && index > 0 ? '!' : '';
+
+      yield `<g inkscape:groupmode="layer" id="layer-${channel}" inkscape:label="${pause}${index + 1} - ${channel}" fill="${color}" stroke="${color}" color="${color}">`;
+      yield `<g transform="translate(${xOffset.toFixed(3)} ${yOffset.toFixed(3)}) scale(${scale.toFixed(5)})">`;
+      yield* SVGSerializer.serializeShapes(shapes);
+      yield '</g>';
+      // Every pen draws the print marks, so each pass can be registered against them.
+      if (marks.length > 0) {
+        yield `<path d="${SVGSerializer.pathData(marks, unit === 'in' ? 4 : 2)}" fill="none" stroke-width="${markWidth}"/>`;
+      }
+      yield '</g>';
     }
 
-    return optimized.trim();
+    yield '</svg>';
   }
 
   /**
    * Downloads all individual channel SVGs and the combined SVG in sequence.
    * @param {object} [config={}] - The application configuration.
    */
-  async downloadAllChannels(config = {}) {
-    const channels = Object.keys(this.svgData).filter(k => k !== 'combined');
+  downloadAllChannels(config = {}) {
+    const channels = this.getChannels('combined', config);
     let delay = 0;
-    for (const channel of channels) {
-      if (this.svgData[channel]) {
-        setTimeout(() => this.downloadSVG(channel, config), delay);
-        delay += 500; // Stagger downloads to prevent browser blocking.
-      }
-    }
-    if (this.svgData.combined) {
+    channels.forEach(channel => {
+      setTimeout(() => this.downloadSVG(channel, config), delay);
+      delay += 500; // Stagger downloads to prevent browser blocking.
+    });
+    if (channels.length > 0) {
       setTimeout(() => this.downloadSVG('combined', config), delay);
     }
   }
 
   /**
-   * Wraps an existing SVG inside a new SVG formatted for a specific paper size.
-   * @param {string} svgContent - The original SVG content string.
-   * @param {object} config - The application configuration.
-   * @returns {string} The new SVG string formatted for the paper size.
+   * Resolves the selected paper from the configuration: a predefined or custom size,
+   * turned to the chosen orientation, with the user's margin if one is set.
+   * @param {object} config - The application configuration, including `paperSize` and `paper` options.
+   * @returns {{width: number, height: number, unit: string, margin: number}|null}
+   * The paper in its own unit, or null if the output uses the image size.
    */
-  formatSVGForPaper(svgContent, config) {
-    const paper = this.paperSizes[config.paperSize];
-    if (!paper) return svgContent;
+  getPaper(config) {
+    const options = config.paper || {};
+    const base = config.paperSize === 'custom'
+      ? {
+        width: options.customWidth,
+        height: options.customHeight,
+        unit: options.customUnit === 'in' ? 'in' : 'mm',
+        margin: options.customUnit === 'in' ? 0.5 : 10
+      }
+      : this.paperSizes[config.paperSize];
+    if (!base || !(base.width > 0) || !(base.height > 0)) return null;
 
-    const imageWidth = parseFloat(svgContent.match(/width="([^"]+)"/)?.[1]);
-    const imageHeight = parseFloat(svgContent.match(/height="([^"]+)"/)?.[1]);
-    if (!imageWidth || !imageHeight) return svgContent;
+    const shortSide = Math.min(base.width, base.height);
+    const longSide = Math.max(base.width, base.height);
+    const landscape = options.orientation === 'landscape';
+    const margin = Number.isFinite(options.margin) ? options.margin : base.margin;
 
-    const paperWidth = paper.width;
-    const paperHeight = paper.height;
-    const margin = paper.margin;
+    return {
+      width: landscape ? longSide : shortSide,
+      height: landscape ? shortSide : longSide,
+      unit: base.unit,
+      // Always leave some printable area.
+      margin: Math.min(Math.max(0, margin), shortSide * 0.45)
+    };
+  }
+
+  /**
+   * Calculates how content of the given size is scaled and positioned on the selected paper.
+   * The content is scaled uniformly to fit inside the paper margins and is either centred or
+   * placed at the top-left margin corner (`config.paper.alignment`). When print marks are
+   * requested, the margins grow by the room the marks need outside the content. Geometry generated
+   * in physical units mode keeps its physical size and is only positioned.
+   * @param {number} imageWidth - The width of the content in image pixels.
+   * @param {number} imageHeight - The height of the content in image pixels.
+   * @param {object} config - The application configuration, including paper size.
+   * @param {{pxPerMm: number}|null} [physical=null] - The physical size the geometry was generated at,
+   * from the stored channel geometry; null when it was not generated in physical units mode.
+   * @returns {{paper: object, scale: number, xOffset: number, yOffset: number}|null}
+   * The paper definition and the transform from image pixels to paper units, or null if no paper is selected.
+   */
+  getPaperTransform(imageWidth, imageHeight, config, physical = null) {
+    const paper = this.getPaper(config);
+    if (!paper) return null;
 
-    const safeWidth = paperWidth - 2 * margin;
-    const safeHeight = paperHeight - 2 * margin;
+    const options = config.paper || {};
+    const { size, gap } = this.getMarkSize(paper);
+    const margin = paper.margin + (options.registrationMarks || options.cropMarks ? gap + size : 0);
+    const safeWidth = paper.width - 2 * margin;
+    const safeHeight = paper.height - 2 * margin;
 
-    const scale = Math.min(safeWidth / imageWidth, safeHeight / imageHeight);
+    const scale = physical
+      ? (paper.unit === 'in' ? 1 / 25.4 : 1) / physical.pxPerMm
+      : Math.min(safeWidth / imageWidth, safeHeight / imageHeight);
     const scaledWidth = imageWidth * scale;
     const scaledHeight = imageHeight * scale;
+    const topLeft = config.paper?.alignment === 'top-left';
 
-    const xOffset = margin + (safeWidth - scaledWidth) / 2;
-    const yOffset = margin + (safeHeight - scaledHeight) / 2;
+    return {
+      paper,
+      scale,
+      xOffset: topLeft ? margin : margin + (safeWidth - scaledWidth) / 2,
+      yOffset: topLeft ? margin : margin + (safeHeight - scaledHeight) / 2
+    };
+  }
 
-    const innerSVG = this.extractSVGElements(svgContent);
+  /**
+   * Returns the size of the print marks on a paper, and their gap from the content.
+   * Every mark fits within `gap + size` of the content edge.
+   * @param {{unit: string}} paper - The paper returned by `getPaper`.
+   * @returns {{size: number, gap: number}} The mark length and gap in the paper's unit.
+   */
+  getMarkSize(paper) {
+    const size = paper.unit === 'in' ? 0.25 : 6;
+    return { size, gap: size / 3 };
+  }
 
-    let wrapperSVG = `<svg width="${paperWidth}${paper.unit}" height="${paperHeight}${paper.unit}" viewBox="0 0 ${paperWidth} ${paperHeight}" xmlns="http://www.w3.org/2000/svg" color-interpolation-filters="sRGB">`;
-    wrapperSVG += `<title>Halftone for ${config.paperSize.toUpperCase()} Paper</title>`;
-    wrapperSVG += `<desc>Content scaled to fit within a ${margin}${paper.unit} margin.</desc>`;
-    wrapperSVG += `<g transform="translate(${xOffset.toFixed(3)} ${yOffset.toFixed(3)}) scale(${scale.toFixed(5)})">`;
-    wrapperSVG += innerSVG;
-    wrapperSVG += `</g></svg>`;
+  /**
+   * Builds the registration crosshairs and crop marks requested in `config.paper`
+   * around the content area on the selected paper. Crop marks sit at the corners of
+   * the content and crosshairs at the middle of each side, just outside the content.
+   * @param {number} imageWidth - The width of the content in image pixels.
+   * @param {number} imageHeight - The height of the content in image pixels.
+   * @param {object} config - The application configuration.
+   * @param {{pxPerMm: number}|null} [physical=null] - The physical size the geometry was generated at,
+   * from the stored channel geometry; null when it was not generated in physical units mode.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>}
+   * The marks on the sheet as polylines in paper units; empty if no marks are requested or no paper is selected.
+   */
+  getPrintMarks(imageWidth, imageHeight, config, physical = null) {
+    const options = config.paper || {};
+    if (!options.registrationMarks && !options.cropMarks) return [];
+    const transform = this.getPaperTransform(imageWidth, imageHeight, config, physical);
+    if (!transform) return [];
+
+    const { paper, scale, xOffset, yOffset } = transform;
+    const { size, gap } = this.getMarkSize(paper);
+    const left = xOffset;
+    const top = yOffset;
+    const right = xOffset + imageWidth * scale;
+    const bottom = yOffset + imageHeight * scale;
+    const line = (x1, y1, x2, y2) => ({ points: [{ x: x1, y: y1 }, { x: x2, y: y2 }], closed: false });
+    const marks = [];
+
+    if (options.cropMarks) {
+      [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+        marks.push(line(x + dx * gap, y, x + dx * (gap + size), y));
+        marks.push(line(x, y + dy * gap, x, y + dy * (gap + size)));
+      });
+    }
+
+    if (options.registrationMarks) {
+      const offset = gap + size / 2;
+      const centreX = (left + right) / 2;
+      const centreY = (top + bottom) / 2;
+      [[centreX, top - offset], [centreX, bottom + offset], [left - offset, centreY], [right + offset, centreY]].forEach(([x, y]) => {
+        marks.push(line(x - size / 2, y, x + size / 2, y));
+        marks.push(line(x, y - size / 2, x, y + size / 2));
+        marks.push({ points: PlotGeometry.circleToPoints(x, y, size / 3, size / 200), closed: true });
+      });
+    }
+    // Content at its physical size can be larger than the paper; leave out marks that would fall off the sheet.
+    return marks.filter(({ points }) => points.every(p => p.x >= 0 && p.x <= paper.width && p.y >= 0 && p.y <= paper.height));
+  }
+
+  /**
+   * Calculates the transform from image pixels to physical output units for plotter formats.
+   * The selected paper fitting is used when there is one; otherwise the image is output
+   * in millimetres, at its physical size in physical units mode or at 96 pixels per inch.
+   * @param {number} imageWidth - The width of the content in image pixels.
+   * @param {number} imageHeight - The height of the content in image pixels.
+   * @param {object} config - The application configuration, including paper size.
+   * @param {{pxPerMm: number}|null} [physical=null] - The physical size the geometry was generated at,
+   * from the stored channel geometry; null when it was not generated in physical units mode.
+   * @returns {{scale: number, xOffset: number, yOffset: number, unit: string, pageWidth: number, pageHeight: number}}
+   * The transform, its unit ('mm' or 'in') and the page dimensions in that unit.
+   */
+  getPhysicalTransform(imageWidth, imageHeight, config, physical = null) {
+    const paperTransform = this.getPaperTransform(imageWidth, imageHeight, config, physical);
+    if (paperTransform) {
+      const { paper, scale, xOffset, yOffset } = paperTransform;
+      return { scale, xOffset, yOffset, unit: paper.unit, pageWidth: paper.width, pageHeight: paper.height };
+    }
+    const scale = physical ? 1 / physical.pxPerMm : SVGExporter.MM_PER_PX;
+    return { scale, xOffset: 0, yOffset: 0, unit: 'mm', pageWidth: imageWidth * scale, pageHeight: imageHeight * scale };
+  }
+
+  /**
+   * Converts the stored geometry of a channel into pen paths in physical output units.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`.
+   * @param {object} config - The application configuration.
+   * @returns {{layers: Array<{channel: string, polylines: object[]}>, transform: object}|null}
+   * One layer per channel with its polylines, and the physical transform that was applied; null if there is no data.
+   */
+  getPlotLayers(channel, config) {
+    const channelLayers = this.getLayers(channel, config);
+    if (channelLayers.length === 0) return null;
 
-    return wrapperSVG;
+    const dimensions = this.getDimensions(channelLayers[0].channel);
+    const transform = this.getPhysicalTransform(dimensions.width, dimensions.height, config, dimensions.physical);
+    const marks = this.getPrintMarks(dimensions.width, dimensions.height, config, dimensions.physical);
+    return this.buildPlotLayers(channelLayers, transform, marks);
+  }
+
+  /**
+   * Converts channel shapes into pen paths in physical output units, for a whole page or a tile sheet.
+   * The paths keep the order of the shapes, which is already the drawing order when the channels
+   * were generated with `config.optimizePaths`.
+   * @param {Array<{channel: string, shapes: object[]}>} channelLayers - The channels to plot, with their shapes in image pixels.
+   * @param {{scale: number, xOffset: number, yOffset: number, unit: string, pageWidth: number, pageHeight: number}} transform
+   * The transform from image pixels to page units.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} marks - Marks in page units, drawn by every pen.
+   * @returns {{layers: Array<{channel: string, polylines: object[]}>, transform: object}} One layer per channel, and the transform.
+   */
+  buildPlotLayers(channelLayers, transform, marks) {
+    // Keep the circle approximation error around 0.05mm regardless of the output scale.
+    const tolerance = (transform.unit === 'in' ? 0.002 : 0.05) / transform.scale;
+
+    // Every pen draws the marks, so each pass can be registered against them.
+    const layers = channelLayers.map(({ channel: name, shapes }) => {
+      const polylines = PlotGeometry.shapesToPolylines(shapes, tolerance);
+      return { channel: name, polylines: [...PlotGeometry.transformPolylines(polylines, transform), ...marks] };
+    });
+    return { layers, transform };
   }
 }
 
@@ -0,0 +1,102 @@
+/**
+ * @file Serializes the shapes of the geometry model into SVG markup.
+ * Output is produced in chunks by generator functions, so large patterns never
+ * have to be held in memory as one huge string.
+ */
+
+/**
+ * A collection of static helpers that turn shapes and polylines into SVG elements.
+ * Shapes are written without colors: filled shapes inherit `fill="currentColor"`
+ * and stroked shapes use `stroke="currentColor"`, so the enclosing group decides
+ * the color of a channel with a single `color` attribute.
+ */
+class SVGSerializer {
+  /**
+   * The number of shapes serialized into each chunk.
+   * @type {number}
+   */
+  static CHUNK_SIZE = 5000;
+
+  /**
+   * The number of chunks collected before they are appended to the Blob being built.
+   * @type {number}
+   */
+  static CHUNKS_PER_PART = 20;
+
+  /**
+   * Serializes shapes into SVG elements, one chunk of elements at a time.
+   * @param {object[]} shapes - The shapes to serialize.
+   * @param {number} [chunkSize=SVGSerializer.CHUNK_SIZE] - The number of shapes per chunk.
+   * @yields {string} The SVG elements of the next chunk of shapes.
+   */
+  static *serializeShapes(shapes, chunkSize = SVGSerializer.CHUNK_SIZE) {
+    for (let start = 0; start < shapes.length; start += chunkSize) {
+      let chunk = '';
+      const end = Math.min(shapes.length, start + chunkSize);
+      for (let i = start; i < end; i++) {
+        chunk += this.serializeShape(shapes[i]);
+      }
+      yield chunk;
+    }
+  }
+
+  /**
+   * Serializes a single shape into an SVG element.
+   * @param {object} shape - The shape (see `PlotGeometry`).
+   * @returns {string} The SVG element, or an empty string for degenerate shapes.
+   */
+  static serializeShape(shape) {
+    let style = '';
+    if (!shape.filled) {
+      style = ` fill="none" stroke="currentColor" stroke-width="${shape.strokeWidth.toFixed(2)}"`;
+      if (shape.lineCap === 'round') style += ' stroke-linecap="round" stroke-linejoin="round"';
+    }
+    switch (shape.type) {
+      case 'circle':
+        return `<circle cx="${shape.cx.toFixed(2)}" cy="${shape.cy.toFixed(2)}" r="${shape.r.toFixed(2)}"${style}/>`;
+      // Lines and polygons are both written as paths, so every continuous line is a single <path>.
+      case 'polygon':
+        return shape.points.length > 1 ? `<path d="${this.pathData([{ points: shape.points, closed: true }])}"${style}/>` : '';
+      case 'polyline':
+        return shape.points.length > 1 ? `<path d="${this.pathData([shape])}"${style}/>` : '';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Serializes polylines into the data of a single SVG path.
+   * @param {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} polylines - The polylines.
+   * @param {number} [precision=2] - The number of decimal places per coordinate.
+   * @returns {string} The path data, e.g. "M1,2L3,4Z".
+   */
+  static pathData(polylines, precision = 2) {
+    return polylines.map(polyline => {
+      const commands = polyline.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x.toFixed(precision)},${p.y.toFixed(precision)}`);
+      return commands.join('') + (polyline.closed ? 'Z' : '');
+    }).join('');
+  }
+
+  /**
+   * Collects the chunks of a document into a Blob. Chunks are appended to the Blob in
+   * batches, which lets the browser move the finished parts out of the JavaScript heap.
+   * @param {Iterable<string>} chunks - The document chunks, in order.
+   * @param {string} [type='image/svg+xml'] - The MIME type of the document.
+   * @returns {Blob} The document.
+   */
+  static toBlob(chunks, type = 'image/svg+xml') {
+    let blob = new Blob([], { type });
+    let parts = [];
+    for (const chunk of chunks) {
+      parts.push(chunk);
+      if (parts.length >= SVGSerializer.CHUNKS_PER_PART) {
+        blob = new Blob([blob, ...parts], { type });
+        parts = [];
+      }
+    }
+    return new Blob([blob, ...parts], { type });
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.SVGSerializer = SVGSerializer;
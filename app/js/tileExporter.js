@@ -0,0 +1,355 @@
+/**
+ * @file Splits the halftone output across a grid of sheets for prints larger than the plotter bed.
+ * Each sheet is a full page of the selected paper size that shows one tile of the mural,
+ * with alignment marks and a tile label in the margin.
+ */
+
+/**
+ * A class that lays out the per-channel geometry held by an `SVGExporter` on an N×M
+ * grid of sheets and exports one file per sheet, as SVG, PDF, G-code or HPGL. Neighbouring
+ * tiles share an overlap strip so the sheets can be aligned and joined after plotting.
+ */
+class TileExporter {
+  /**
+   * Initializes the TileExporter.
+   * @param {SVGExporter} svgExporter - The exporter holding the generated geometry and paper settings.
+   * @param {{gcode: GCodeExporter, hpgl: HPGLExporter, pdf: PDFExporter}} [exporters={}] - The exporters
+   * that write the non-SVG sheet formats.
+   */
+  constructor(svgExporter, exporters = {}) {
+    /**
+     * The SVG exporter that provides channel geometry and paper settings.
+     * @type {SVGExporter}
+     */
+    this.svgExporter = svgExporter;
+
+    /**
+     * The exporters for the non-SVG sheet formats, keyed by `config.exportFormat`.
+     * @type {{gcode: GCodeExporter, hpgl: HPGLExporter, pdf: PDFExporter}}
+     */
+    this.exporters = exporters;
+
+    /**
+     * Default tiling settings, used for any value missing from `config.tiling`.
+     * The overlap is given in the paper's unit.
+     * @type {{columns: number, rows: number, overlap: number, keepWhole: boolean}}
+     */
+    this.defaults = {
+      columns: 2,
+      rows: 2,
+      overlap: 10,
+      keepWhole: false
+    };
+  }
+
+  /**
+   * Calculates how the image is spread across the tile grid. The grid of safe areas, minus
+   * the overlaps, forms the mural area; the image is scaled to fit it (or kept at its physical
+   * size in physical units mode) and aligned like a single page.
+   * @param {number} imageWidth - The width of the content in image pixels.
+   * @param {number} imageHeight - The height of the content in image pixels.
+   * @param {object} config - The application configuration, including `paperSize`, `paper` and `tiling`.
+   * @param {{pxPerMm: number}|null} [physical=null] - The physical size settings of the stored geometry.
+   * @returns {{paper: object, columns: number, rows: number, overlap: number, safeWidth: number, safeHeight: number, scale: number, xOffset: number, yOffset: number}|null}
+   * The layout in paper units, or null if no paper is selected.
+   */
+  getTileLayout(imageWidth, imageHeight, config, physical = null) {
+    const paper = this.svgExporter.getPaper(config);
+    if (!paper) return null;
+
+    const settings = { ...this.defaults, ...config.tiling };
+    const columns = Math.max(1, Math.round(settings.columns));
+    const rows = Math.max(1, Math.round(settings.rows));
+    const safeWidth = paper.width - 2 * paper.margin;
+    const safeHeight = paper.height - 2 * paper.margin;
+    // The overlap can never swallow a whole tile.
+    const overlap = Math.min(Math.max(0, settings.overlap), safeWidth / 2, safeHeight / 2);
+
+    const muralWidth = columns * safeWidth - (columns - 1) * overlap;
+    const muralHeight = rows * safeHeight - (rows - 1) * overlap;
+    const scale = physical
+      ? (paper.unit === 'in' ? 1 / 25.4 : 1) / physical.pxPerMm
+      : Math.min(muralWidth / imageWidth, muralHeight / imageHeight);
+    const topLeft = config.paper?.alignment === 'top-left';
+
+    return {
+      paper,
+      columns,
+      rows,
+      overlap,
+      safeWidth,
+      safeHeight,
+      scale,
+      xOffset: topLeft ? 0 : (muralWidth - imageWidth * scale) / 2,
+      yOffset: topLeft ? 0 : (muralHeight - imageHeight * scale) / 2
+    };
+  }
+
+  /**
+   * Returns the part of the image, in image pixels, that a tile shows.
+   * @param {object} layout - The layout returned by `getTileLayout`.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @returns {{x: number, y: number, width: number, height: number}} The tile rectangle.
+   */
+  getTileRect(layout, column, row) {
+    const { left, top } = this.getTileOrigin(layout, column, row);
+    return {
+      x: (left - layout.xOffset) / layout.scale,
+      y: (top - layout.yOffset) / layout.scale,
+      width: layout.safeWidth / layout.scale,
+      height: layout.safeHeight / layout.scale
+    };
+  }
+
+  /**
+   * Returns the top-left corner of a tile in mural coordinates (paper units).
+   * @param {object} layout - The layout returned by `getTileLayout`.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @returns {{left: number, top: number}} The tile's corner.
+   */
+  getTileOrigin(layout, column, row) {
+    return {
+      left: column * (layout.safeWidth - layout.overlap),
+      top: row * (layout.safeHeight - layout.overlap)
+    };
+  }
+
+  /**
+   * Returns the transform from image pixels to sheet coordinates for a tile, in the form
+   * returned by `SVGExporter.getPhysicalTransform`, so the plotter and PDF exporters can write the sheet.
+   * @param {object} layout - The layout returned by `getTileLayout`.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @returns {{scale: number, xOffset: number, yOffset: number, unit: string, pageWidth: number, pageHeight: number}} The transform.
+   */
+  getTileTransform(layout, column, row) {
+    const { paper, scale } = layout;
+    const { left, top } = this.getTileOrigin(layout, column, row);
+    return {
+      scale,
+      xOffset: paper.margin + layout.xOffset - left,
+      yOffset: paper.margin + layout.yOffset - top,
+      unit: paper.unit,
+      pageWidth: paper.width,
+      pageHeight: paper.height
+    };
+  }
+
+  /**
+   * Returns the label printed on a tile, e.g. "B3" for the second row, third column.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @returns {string} The tile label.
+   */
+  getTileLabel(column, row) {
+    let letters = '';
+    for (let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return `${letters}${column + 1}`;
+  }
+
+  /**
+   * Selects the shapes that belong on a tile. Shapes crossing the tile edge are clipped,
+   * unless `keepWhole` is set: then a shape is kept intact on every tile that contains its centre.
+   * @param {object[]} shapes - The channel's shapes in image pixels.
+   * @param {{x: number, y: number, width: number, height: number}} rect - The tile rectangle.
+   * @param {boolean} keepWhole - Whether to keep shapes whole instead of clipping them.
+   * @returns {object[]} The shapes to draw on the tile.
+   */
+  getTileShapes(shapes, rect, keepWhole) {
+    if (!keepWhole) {
+      return shapes.flatMap(shape => PlotGeometry.clipShapeToRect(shape, rect));
+    }
+    return shapes.filter(shape => {
+      const bounds = PlotGeometry.getBounds(shape);
+      const x = (bounds.minX + bounds.maxX) / 2;
+      const y = (bounds.minY + bounds.maxY) / 2;
+      return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+    });
+  }
+
+  /**
+   * Builds the alignment marks of a tile in sheet coordinates: corner marks just outside the
+   * tile area, and ticks in the margin where each neighbouring tile's overlap begins.
+   * @param {object} layout - The layout returned by `getTileLayout`.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} The marks as polylines.
+   */
+  getTileMarks(layout, column, row) {
+    const { paper, safeWidth, safeHeight, overlap } = layout;
+    const size = Math.min(paper.unit === 'in' ? 0.2 : 5, paper.margin * 0.75);
+    if (size <= 0) return [];
+
+    const gap = size / 4;
+    const left = paper.margin;
+    const top = paper.margin;
+    const right = left + safeWidth;
+    const bottom = top + safeHeight;
+    const line = (x1, y1, x2, y2) => ({ points: [{ x: x1, y: y1 }, { x: x2, y: y2 }], closed: false });
+    const marks = [];
+
+    [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+      marks.push(line(x + dx * gap, y, x + dx * (gap + size), y));
+      marks.push(line(x, y + dy * gap, x, y + dy * (gap + size)));
+    });
+
+    const verticalTick = (x) => {
+      marks.push(line(x, top - gap, x, top - gap - size));
+      marks.push(line(x, bottom + gap, x, bottom + gap + size));
+    };
+    const horizontalTick = (y) => {
+      marks.push(line(left - gap, y, left - gap - size, y));
+      marks.push(line(right + gap, y, right + gap + size, y));
+    };
+    if (overlap > 0) {
+      if (column > 0) verticalTick(left + overlap);
+      if (column < layout.columns - 1) verticalTick(right - overlap);
+      if (row > 0) horizontalTick(top + overlap);
+      if (row < layout.rows - 1) horizontalTick(bottom - overlap);
+    }
+    return marks;
+  }
+
+  /**
+   * Generates the SVG for one tile sheet.
+   * @param {Array<{channel: string, shapes: object[]}>} layers - The channels to draw, with their shapes in image pixels.
+   * @param {object} layout - The layout returned by `getTileLayout`.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @param {object} config - The application configuration, including `colors` and `tiling`.
+   * @yields {string} The next chunk of the sheet's SVG document.
+   */
+  *generateTileSVG(layers, layout, column, row, config) {
+    const { paper, scale } = layout;
+    const keepWhole = { ...this.defaults, ...config.tiling }.keepWhole;
+    const rect = this.getTileRect(layout, column, row);
+    const label = this.getTileLabel(column, row);
+    const precision = paper.unit === 'in' ? 4 : 2;
+    const { xOffset: translateX, yOffset: translateY } = this.getTileTransform(layout, column, row);
+
+    yield `<svg width="${paper.width}${paper.unit}" height="${paper.height}${paper.unit}" viewBox="0 0 ${paper.width} ${paper.height}" xmlns="http://www.w3.org/2000/svg" color-interpolation-filters="sRGB" data-generated="${new Date().toISOString()}">`;
+    yield `<title>Halftone Tile ${label}</title>`;
+    yield `<desc>Row ${row + 1} of ${layout.rows}, column ${column + 1} of ${layout.columns}. Neighbouring tiles overlap by ${layout.overlap}${paper.unit}.</desc>`;
+    yield `<rect width="100%" height="100%" fill="white"/>`;
+    yield `<g transform="translate(${translateX.toFixed(precision + 1)} ${translateY.toFixed(precision + 1)}) scale(${scale.toFixed(5)})">`;
+    for (const { channel, shapes } of layers) {
+      const color = this.svgExporter.getColor(channel, config);
+      yield `<g id="${channel}-channel" color="${color}" fill="currentColor" style="mix-blend-mode: multiply">`;
+      yield* SVGSerializer.serializeShapes(this.getTileShapes(shapes, rect, keepWhole));
+      yield '</g>';
+    }
+    yield '</g>';
+
+    const marks = this.getTileMarks(layout, column, row);
+    if (marks.length > 0) {
+      const markWidth = paper.unit === 'in' ? 0.01 : 0.25;
+      yield `<g id="tile-marks" fill="none" stroke="black" stroke-width="${markWidth}">`;
+      yield `<path d="${SVGSerializer.pathData(marks, precision)}"/>`;
+      yield '</g>';
+    }
+
+    const fontSize = Math.min(paper.unit === 'in' ? 0.15 : 4, paper.margin * 0.6);
+    if (fontSize > 0) {
+      const channels = layers.map(layer => layer.channel).join(', ');
+      yield `<text x="${paper.margin}" y="${(paper.height - paper.margin * 0.3).toFixed(precision)}" font-family="sans-serif" font-size="${fontSize}" fill="black">`
+        + `Tile ${label} (row ${row + 1}/${layout.rows}, column ${column + 1}/${layout.columns}) · ${channels}</text>`;
+    }
+    yield '</svg>';
+  }
+
+  /**
+   * Generates the file for one tile sheet in the format selected by `config.exportFormat`.
+   * PDF, G-code and HPGL sheets carry the tile's alignment marks; SVG is used for every other format.
+   * @param {Array<{channel: string, shapes: object[]}>} layers - The channels to draw, with their shapes in image pixels.
+   * @param {object} layout - The layout returned by `getTileLayout`.
+   * @param {number} column - The zero-based tile column.
+   * @param {number} row - The zero-based tile row.
+   * @param {object} config - The application configuration.
+   * @returns {{blob: Blob, extension: string}} The sheet file and its file name extension.
+   */
+  generateTileFile(layers, layout, column, row, config) {
+    if (!['gcode', 'hpgl', 'pdf'].includes(config.exportFormat)) {
+      return { blob: SVGSerializer.toBlob(this.generateTileSVG(layers, layout, column, row, config)), extension: 'svg' };
+    }
+
+    const keepWhole = { ...this.defaults, ...config.tiling }.keepWhole;
+    const rect = this.getTileRect(layout, column, row);
+    const tileLayers = layers.map(({ channel, shapes }) => ({ channel, shapes: this.getTileShapes(shapes, rect, keepWhole) }));
+    const transform = this.getTileTransform(layout, column, row);
+    const marks = this.getTileMarks(layout, column, row);
+
+    if (config.exportFormat === 'pdf') {
+      const pdf = this.exporters.pdf.generateDocument(tileLayers, transform, marks, config, `Halftone Tile ${this.getTileLabel(column, row)}`);
+      return { blob: new Blob([pdf], { type: 'application/pdf' }), extension: 'pdf' };
+    }
+    const plot = this.svgExporter.buildPlotLayers(tileLayers, transform, marks);
+    return config.exportFormat === 'gcode'
+      ? { blob: new Blob([this.exporters.gcode.generateGCode(null, config, plot)], { type: 'text/plain' }), extension: 'gcode' }
+      : { blob: new Blob([this.exporters.hpgl.generateHPGL(null, config, plot)], { type: 'application/vnd.hp-hpgl' }), extension: 'hpgl' };
+  }
+
+  /**
+   * Generates every tile sheet for a channel or for all channels combined.
+   * @param {string} channel - The channel name, or 'combined' for all channels in `config.channelNames`.
+   * @param {object} config - The application configuration.
+   * @returns {Array<{label: string, blob: Blob, extension: string}>} One file per sheet, in row-major order; empty if there is no data or no paper.
+   */
+  generateTiles(channel, config) {
+    const layers = this.svgExporter.getLayers(channel, config);
+    if (layers.length === 0) return [];
+
+    const dimensions = this.svgExporter.getDimensions(layers[0].channel);
+    const layout = this.getTileLayout(dimensions.width, dimensions.height, config, dimensions.physical);
+    if (!layout) return [];
+
+    const tiles = [];
+    for (let row = 0; row < layout.rows; row++) {
+      for (let column = 0; column < layout.columns; column++) {
+        tiles.push({ label: this.getTileLabel(column, row), ...this.generateTileFile(layers, layout, column, row, config) });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Downloads every tile sheet of a channel, or of all channels combined, as a batch of files.
+   * @param {string} channel - The channel name, or 'combined'.
+   * @param {object} [config={}] - The application configuration.
+   * @param {number} [delay=0] - The delay in milliseconds before the first download.
+   * @returns {number} The delay after the last scheduled download, for chaining batches.
+   */
+  downloadTiles(channel, config = {}, delay = 0) {
+    const tiles = this.generateTiles(channel, config);
+    if (tiles.length === 0) {
+      console.error(`No tile data found for channel: ${channel}`);
+      return delay;
+    }
+    const timestamp = new Date().getTime();
+    tiles.forEach(({ label, blob, extension }) => {
+      setTimeout(() => {
+        this.svgExporter.downloadFile(blob, `halftone-${channel}-tile-${label}-${timestamp}.${extension}`, blob.type);
+      }, delay);
+      delay += 500; // Stagger downloads to prevent browser blocking.
+    });
+    return delay;
+  }
+
+  /**
+   * Downloads the tile sheets of every channel followed by the combined sheets.
+   * @param {object} [config={}] - The application configuration.
+   */
+  downloadAllChannels(config = {}) {
+    let delay = 0;
+    this.svgExporter.getChannels('combined', config).forEach(channel => {
+      delay = this.downloadTiles(channel, config, delay);
+    });
+    this.downloadTiles('combined', config, delay);
+  }
+}
+
+// Attach to the global scope to be accessible by other scripts
+self.TileExporter = TileExporter;
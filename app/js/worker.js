@@ -5,8 +5,9 @@
  */
 
 // Import necessary scripts for processing.
-// The order is important: advancedPatterns must be available for halftonePatterns.
-importScripts('colorUtils.js', 'advancedPatterns.js', 'halftonePatterns.js');
+// The order is important: plotGeometry must be available for the post-processing modules,
+// and those, pathOptimizer, advancedPatterns and hersheyFont must be available for halftonePatterns.
+importScripts('colorUtils.js', 'plotGeometry.js', 'plotterFills.js', 'lineMerger.js', 'pathOptimizer.js', 'advancedPatterns.js', 'hersheyFont.js', 'halftonePatterns.js');
 
 /**
  * The main instance of the pattern generator class.
@@ -56,18 +57,21 @@ onmessage = function(e) {
     const channelConfig = {
       ...config,
       angle: config.angles[channel] || 0,
+      glyphText: (config.glyphTexts || {})[channel],
+      glyphSize: (config.glyphSizes || {})[channel],
       color: config.colors[channel]
     };
 
-    // Generate the pattern, which returns SVG and draws to the offscreen canvas
-    const svg = patterns.generatePattern(
+    // Generate the pattern, which returns the channel geometry and draws it to the offscreen canvas
+    const geometry = patterns.generatePattern(
       config.patternType,
       channel,
       channelData[channel],
       width,
       height,
       channelConfig,
-      offscreenCanvas // Pass the offscreen canvas instead of a DOM canvas
+      offscreenCanvas, // Pass the offscreen canvas instead of a DOM canvas
+      (progress) => postMessage({ channel, progress }) // Report progress of long-running patterns
     );
 
     // 3. Convert the rendered canvas to an ImageBitmap for efficient transfer
@@ -77,7 +81,7 @@ onmessage = function(e) {
     // The ImageBitmap is transferred, not copied, which is very fast.
     postMessage({
       channel: channel,
-      svg: svg,
+      geometry: geometry,
       imageBitmap: imageBitmap
     }, [imageBitmap]);
   });
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { AdvancedPatterns } = loadScripts('colorUtils.js', 'plotGeometry.js', 'advancedPatterns.js');
+
+const area = (points) => Math.abs(points.reduce((sum, a, i) => {
+  const b = points[(i + 1) % points.length];
+  return sum + a.x * b.y - b.x * a.y;
+}, 0)) / 2;
+
+test('triangulates points into counter-clockwise Delaunay triangles', () => {
+  const patterns = new AdvancedPatterns();
+  const random = patterns.createSeededRandom(7);
+  const points = Array.from({ length: 150 }, () => ({ x: random() * 100, y: random() * 80 }));
+  const { triangles, onHull } = patterns.triangulate(points);
+
+  // Euler's formula for a triangulated point set with h points on its hull.
+  const hull = onHull.reduce((sum, flag) => sum + flag, 0);
+  assert.strictEqual(triangles.length, 2 * points.length - 2 - hull);
+  triangles.forEach(([a, b, c]) => {
+    const [p, q, r] = [points[a], points[b], points[c]];
+    assert.ok((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x) > 0);
+    const center = patterns.getCircumcenter(p, q, r);
+    const radius = Math.hypot(p.x - center.x, p.y - center.y);
+    points.forEach((point, i) => {
+      if (i === a || i === b || i === c) return;
+      assert.ok(Math.hypot(point.x - center.x, point.y - center.y) >= radius - 1e-9, `point ${i} is inside a circumcircle`);
+    });
+  });
+});
+
+test('tiles the image with cells at full intensity', () => {
+  const width = 120;
+  const height = 90;
+  const shapes = new AdvancedPatterns().generateVoronoiPattern(new Array(width * height).fill(1), width, height, {
+    spacing: 10, angle: 15, randomness: 50, voronoiMode: 'cells', renderStyle: 'fill', strokeWidth: 1
+  });
+  const total = shapes.reduce((sum, shape) => sum + area(shape.points), 0);
+  assert.ok(Math.abs(total - width * height) < 1e-6 * width * height, `cells cover ${total}`);
+});
+
+test('draws each cell wall once', () => {
+  const width = 80;
+  const height = 60;
+  const shapes = new AdvancedPatterns().generateVoronoiPattern(new Array(width * height).fill(1), width, height, {
+    spacing: 8, angle: 0, voronoiMode: 'edges', renderStyle: 'fill', strokeWidth: 1
+  });
+  assert.ok(shapes.length > 0);
+  const keys = shapes.map(({ points: [p, q] }) => [p, q].map(({ x, y }) => `${x.toFixed(6)},${y.toFixed(6)}`).sort().join(' '));
+  assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('draws one closed contour per level around a dark disc', () => {
+  const size = 80;
+  const values = Array.from({ length: size * size }, (_, i) => Math.min(1, Math.max(0, (36 - Math.hypot(i % size - 40, Math.floor(i / size) - 40)) / 16)));
+  const shapes = new AdvancedPatterns().generateContourPattern(values, size, size, { spacing: 20, renderStyle: 'fill', strokeWidth: 1 });
+  assert.strictEqual(shapes.length, 6);
+  shapes.forEach(shape => {
+    assert.strictEqual(shape.type, 'polygon');
+    assert.strictEqual(shape.filled, false);
+  });
+  // Higher levels lie closer to the centre.
+  const radii = shapes.map(({ points }) => Math.hypot(points[0].x - 40, points[0].y - 40));
+  radii.slice(1).forEach((radius, i) => assert.ok(radius < radii[i]));
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { GCodeExporter } = loadScripts('gcodeExporter.js');
+
+const plot = (unit = 'mm') => ({
+  layers: [
+    { channel: 'cyan', polylines: [{ points: [{ x: 10, y: 20 }, { x: 30, y: 20 }, { x: 30, y: 40 }], closed: true }] },
+    { channel: 'black', polylines: [{ points: [{ x: 0, y: 0 }, { x: 5, y: 0 }], closed: false }] }
+  ],
+  transform: { unit, pageWidth: 100, pageHeight: 50 }
+});
+const program = (gcode, unit) => new GCodeExporter(null).generateGCode('combined', { gcode }, plot(unit)).split('\n');
+
+test('travels with rapid moves at the travel rate and draws at the feed rate', () => {
+  const lines = program({ feedRate: 1200, travelRate: 6000 });
+  assert.ok(lines.includes('G0 X10.000 Y30.000 F6000'));
+  assert.ok(lines.includes('G1 X30.000 Y30.000 F1200'));
+  // The closed path returns to its start before the pen lifts.
+  assert.strictEqual(lines[lines.indexOf('G1 X30.000 Y10.000') + 1], 'G1 X10.000 Y30.000');
+  assert.ok(lines.every(line => !/^G1 .*F6000/.test(line)));
+});
+
+test('pauses for a pen change between layers', () => {
+  const lines = program({});
+  const pause = lines.findIndex(line => line.startsWith('M0'));
+  assert.ok(pause > 0);
+  assert.deepStrictEqual(lines.slice(pause - 3, pause - 1), ['M5', 'G0 X0.000 Y50.000 F3000']);
+  assert.strictEqual(lines.filter(line => line.startsWith('M0')).length, 1);
+});
+
+test('falls back to the default pen commands when they are left blank', () => {
+  const lines = program({ penUp: '  ', penDown: '' });
+  assert.ok(lines.includes('M5'));
+  assert.ok(lines.includes('M3 S90'));
+  assert.ok(lines.slice(0, -1).every(line => line.trim() !== ''));
+});
+
+test('converts rates and coordinates for inch pages', () => {
+  const lines = program({ feedRate: 2540, travelRate: 5080 }, 'in');
+  assert.ok(lines.includes('G20 ; units: inches'));
+  assert.ok(lines.includes('G0 X10.0000 Y30.0000 F200.00'));
+  assert.ok(lines.includes('G1 X30.0000 Y30.0000 F100.00'));
+});
@@ -0,0 +1,59 @@
+/**
+ * @file Loads the app's browser scripts into Node, so the geometry modules can be
+ * checked without a browser. Run the checks with `node --test test/`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'app', 'js');
+const loaded = new Set();
+
+/**
+ * Creates a stand-in for a canvas. Drawing calls are accepted and ignored.
+ * @param {number} [width=0] - The canvas width.
+ * @param {number} [height=0] - The canvas height.
+ * @returns {object} An object with the parts of the canvas API the scripts use.
+ */
+function makeCanvas(width = 0, height = 0) {
+  const context = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => ({ data: new Uint8ClampedArray(4) })),
+    set: (target, key, value) => { target[key] = value; return true; }
+  });
+  return { width, height, getContext: () => context };
+}
+
+/**
+ * Runs the given scripts from app/js in the global scope, in order, as a worker would with
+ * `importScripts`. `node --test` runs every test file in its own process, so each file
+ * starts from a clean global scope; a script that is already loaded is skipped.
+ * @param {...string} files - The script file names, e.g. 'plotGeometry.js'.
+ * @returns {object} The global scope, holding the classes the scripts attach to `self`.
+ */
+function loadScripts(...files) {
+  globalThis.self = globalThis;
+  globalThis.OffscreenCanvas = function (width, height) { return makeCanvas(width, height); };
+  files.filter(file => !loaded.has(file)).forEach(file => {
+    loaded.add(file);
+    vm.runInThisContext(fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8'), { filename: file });
+  });
+  return globalThis;
+}
+
+/**
+ * Builds an intensity field from a function of the pixel position.
+ * @param {number} width - The field width.
+ * @param {number} height - The field height.
+ * @param {function(number, number): number} intensity - Returns the intensity (0-1) at x, y.
+ * @returns {number[]} The intensities in row-major order.
+ */
+function makeField(width, height, intensity) {
+  const values = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) values[y * width + x] = intensity(x, y);
+  }
+  return values;
+}
+
+module.exports = { loadScripts, makeCanvas, makeField };
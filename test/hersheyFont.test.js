@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { HersheyFont, HalftonePatterns } = loadScripts(
+  'colorUtils.js', 'plotGeometry.js', 'plotterFills.js', 'lineMerger.js', 'pathOptimizer.js',
+  'advancedPatterns.js', 'hersheyFont.js', 'halftonePatterns.js'
+);
+
+test('centres capitals on their middle with the cap height', () => {
+  const glyph = HersheyFont.getGlyph('H');
+  const points = glyph.strokes.flat();
+  const ys = points.map(p => p.y);
+  const xs = points.map(p => p.x);
+  assert.strictEqual(Math.max(...ys) - Math.min(...ys), HersheyFont.CAP_HEIGHT);
+  assert.strictEqual(Math.max(...ys) + Math.min(...ys), 0);
+  assert.strictEqual(Math.max(...xs) + Math.min(...xs), 0);
+  assert.strictEqual(glyph.strokes.length, 3);
+});
+
+test('has no strokes for spaces or unknown characters', () => {
+  assert.strictEqual(HersheyFont.getGlyph(' '), null);
+  assert.strictEqual(HersheyFont.getGlyph('é'), null);
+});
+
+// Two rows of three cells on a 30 × 20 canvas with a spacing of 10.
+const textPattern = (config) => new HalftonePatterns().generateTextPattern(new Array(30 * 20).fill(1), 30, 20, {
+  spacing: 10, angle: 0, renderStyle: 'fill', strokeWidth: 1, ...config
+});
+
+test('repeats the text row by row, left to right', () => {
+  const shapes = textPattern({ textMode: 'string', glyphText: 'I-' });
+  const cells = shapes.map(({ points }) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const x = (first.x + last.x) / 2;
+    const y = (first.y + last.y) / 2;
+    return { x, y, char: Math.abs(last.x - first.x) < Math.abs(last.y - first.y) ? 'I' : '-' };
+  }).sort((a, b) => Math.round(a.y / 10) - Math.round(b.y / 10) || a.x - b.x);
+  assert.strictEqual(cells.map(cell => cell.char).join(''), 'I-I-I-');
+});
+
+test('falls back to the default ramp when the text is blank', () => {
+  assert.ok(textPattern({ glyphText: '' }).length > 0);
+  assert.ok(textPattern({ textMode: 'string', glyphText: '   ' }).length > 0);
+});
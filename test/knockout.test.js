@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Knockout, PlotGeometry } = loadScripts('plotGeometry.js', 'plotterFills.js', 'knockout.js');
+
+const area = (points) => Math.abs(points.reduce((sum, a, i) => {
+  const b = points[(i + 1) % points.length];
+  return sum + a.x * b.y - b.x * a.y;
+}, 0)) / 2;
+const lShape = PlotGeometry.polygon([
+  { x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 40 }, { x: 0, y: 40 }
+]);
+const knockOut = (below, above, trap = 0) => new Knockout().apply(
+  [{ channel: 'cyan', shapes: below }, { channel: 'black', shapes: above }], { priority: 'key', trap }
+)[0].shapes;
+
+test('keeps shapes that only overlap the convex hull of a concave fill', () => {
+  const inNotch = PlotGeometry.circle(25, 25, 3);
+  const covered = PlotGeometry.circle(5, 5, 3);
+  const below = knockOut([inNotch, covered], [lShape]);
+  assert.strictEqual(below.length, 1);
+  assert.strictEqual(below[0], inNotch);
+});
+
+test('cuts a stroke only where the concave fill covers it', () => {
+  const diagonal = PlotGeometry.polyline([{ x: 5, y: 35 }, { x: 35, y: 5 }], 1);
+  const pieces = knockOut([diagonal], [lShape]);
+  const length = pieces.reduce((sum, piece) => sum + Math.hypot(
+    piece.points[1].x - piece.points[0].x, piece.points[1].y - piece.points[0].y
+  ), 0);
+  // The stroke runs from x = 5 to 35 and is covered for x < 10 and x > 30.
+  assert.ok(Math.abs(length - 20 * Math.SQRT2) < 1e-6, `length ${length}`);
+});
+
+test('subtracts a concave fill from a fill below', () => {
+  const below = PlotGeometry.polygon([{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 40 }, { x: 0, y: 40 }]);
+  const pieces = knockOut([below], [lShape]);
+  assert.ok(Math.abs(pieces.reduce((sum, piece) => sum + area(piece.points), 0) - 900) < 1e-6);
+});
+
+test('lets the fill below run under the trap width', () => {
+  const below = PlotGeometry.polygon([{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 40 }, { x: 0, y: 40 }]);
+  const pieces = knockOut([below], [lShape], 1);
+  const remaining = pieces.reduce((sum, piece) => sum + area(piece.points), 0);
+  // The L covers 700; shrunk by 1 it covers about 700 - 1 × 160 (its perimeter) + corners.
+  assert.ok(remaining > 900 + 130 && remaining < 900 + 170, `remaining ${remaining}`);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, makeCanvas, makeField } = require('./helpers');
+
+const { LineMerger, PlotGeometry, HalftonePatterns } = loadScripts(
+  'colorUtils.js', 'plotGeometry.js', 'plotterFills.js', 'lineMerger.js', 'pathOptimizer.js',
+  'advancedPatterns.js', 'hersheyFont.js', 'halftonePatterns.js'
+);
+
+const segment = (ax, ay, bx, by, width = 1) => PlotGeometry.polyline([{ x: ax, y: ay }, { x: bx, y: by }], width);
+
+test('removes duplicate segments in either direction', () => {
+  const merged = new LineMerger().mergeLines([segment(0, 0, 10, 0), segment(10, 0, 0, 0)]);
+  assert.strictEqual(merged.length, 1);
+});
+
+test('joins collinear segments across a gap within the tolerance', () => {
+  const merged = new LineMerger().mergeLines([segment(0, 0, 10, 0), segment(10.4, 0, 20, 0)], 0.5);
+  assert.strictEqual(merged.length, 1);
+  assert.deepStrictEqual(Array.from(merged[0].points, p => Math.round(p.x)), [0, 20]);
+});
+
+test('joins collinear segments on either side of the direction wraparound', () => {
+  const merged = new LineMerger().mergeCollinear([
+    { a: { x: 0, y: 5 }, b: { x: 10, y: 5.0001 } },
+    { a: { x: 20, y: 5 }, b: { x: 10.2, y: 5.0001 } }
+  ], 0.5);
+  assert.strictEqual(merged.length, 1);
+});
+
+test('keeps close parallel lines and different widths apart', () => {
+  const merger = new LineMerger();
+  assert.strictEqual(merger.mergeLines([segment(0, 0, 10, 0), segment(0, 2, 10, 2)], 0.5, 12).length, 2);
+  assert.strictEqual(merger.mergeLines([segment(0, 0, 10, 0), segment(10, 0, 20, 0, 2)], 0.5).length, 2);
+});
+
+test('bridges parallel dashes only when they continue ahead', () => {
+  const merger = new LineMerger();
+  const staircase = [segment(0, 0, 8, 2), segment(10, 0, 18, 2), segment(20, 0, 28, 2)];
+  const [run] = merger.mergeLines(staircase, 0.5, 12);
+  assert.strictEqual(run.points.length, 6);
+  assert.strictEqual(merger.mergeLines([segment(0, 0, 8, 2), segment(2, 0, 10, 2)], 0.5, 12).length, 2);
+  assert.strictEqual(merger.mergeLines([segment(0, 0, 8, 2), segment(10, 0, 18, -2)], 0.5, 12).length, 2);
+});
+
+test('cuts the shape count of the line screens at the default settings', () => {
+  const patterns = new HalftonePatterns();
+  const values = makeField(200, 200, () => 0.6);
+  const config = {
+    dotSize: 8, spacing: 12, angle: 15, lineAngle: 45, renderStyle: 'fill', strokeWidth: 1,
+    color: '#000', mergeTolerance: 0.5
+  };
+  ['line', 'crosshatch'].forEach(type => {
+    const separate = patterns.generatePattern(type, 'cyan', values, 200, 200, { ...config, mergeLines: false }, makeCanvas());
+    const merged = patterns.generatePattern(type, 'cyan', values, 200, 200, { ...config, mergeLines: true }, makeCanvas());
+    assert.ok(merged.shapes.length * 5 < separate.shapes.length, `${type}: ${separate.shapes.length} -> ${merged.shapes.length}`);
+    assert.ok(merged.shapes.some(shape => shape.points.length > 2), `${type} runs span more than one dash`);
+  });
+});
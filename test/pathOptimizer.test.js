@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { PathOptimizer, PlotGeometry, HalftonePatterns } = loadScripts(
+  'colorUtils.js', 'plotGeometry.js', 'plotterFills.js', 'lineMerger.js', 'pathOptimizer.js',
+  'advancedPatterns.js', 'hersheyFont.js', 'halftonePatterns.js'
+);
+
+// A 20 × 20 grid of short dashes in a scrambled but repeatable order.
+const scrambledDashes = () => {
+  const dashes = [];
+  for (let i = 0; i < 400; i++) {
+    const cell = (i * 137) % 400;
+    const x = (cell % 20) * 10;
+    const y = Math.floor(cell / 20) * 10;
+    dashes.push({ points: [{ x, y }, { x: x + 4, y }], closed: false });
+  }
+  return dashes;
+};
+
+test('shortens pen-up travel and returns every path once', () => {
+  const polylines = scrambledDashes();
+  const result = new PathOptimizer().optimize(polylines);
+  assert.ok(result.after < result.before / 5, `${result.before} → ${result.after}`);
+  assert.deepStrictEqual(Array.from(result.order).sort((a, b) => a - b), polylines.map((_, i) => i));
+});
+
+test('reverses open paths where that saves travel', () => {
+  const polylines = [
+    { points: [{ x: 0, y: 0 }, { x: 10, y: 0 }], closed: false },
+    { points: [{ x: 20, y: 0 }, { x: 10, y: 0 }], closed: false }
+  ];
+  const result = new PathOptimizer().optimize(polylines);
+  const ordered = PathOptimizer.applyOrder(polylines, result);
+  assert.strictEqual(result.after, 0);
+  assert.deepStrictEqual(ordered[1].points.map(p => p.x), [10, 20]);
+  assert.deepStrictEqual(polylines[1].points.map(p => p.x), [20, 10]);
+});
+
+test('keeps the original order when it cannot be improved', () => {
+  const polylines = [0, 10, 20].map(x => ({ points: [{ x, y: 0 }, { x: x + 10, y: 0 }], closed: false }));
+  const result = new PathOptimizer().optimize(polylines);
+  assert.deepStrictEqual(Array.from(result.order), [0, 1, 2]);
+  assert.strictEqual(result.after, result.before);
+});
+
+test('solves a tour that visits every point', () => {
+  const points = [];
+  for (let i = 0; i < 200; i++) points.push({ x: (i * 37) % 101, y: (i * 59) % 97 });
+  const tour = new PathOptimizer({ timeBudget: 200 }).solveTour(points);
+  assert.strictEqual(new Set(tour).size, points.length);
+});
+
+test('puts generated shapes in drawing order and reports the travel', () => {
+  const patterns = new HalftonePatterns();
+  const dashes = scrambledDashes().map(({ points }) => PlotGeometry.polyline(points, 1));
+  const { shapes, travel } = patterns.orderShapes([PlotGeometry.circle(5, 5, 0), ...dashes]);
+  assert.strictEqual(shapes.length, dashes.length + 1);
+  assert.strictEqual(shapes[shapes.length - 1].type, 'circle');
+  assert.ok(travel.after < travel.before / 5);
+  const measured = shapes.slice(0, -1).reduce((sum, shape, i, all) => {
+    const previous = i > 0 ? all[i - 1].points[1] : { x: 0, y: 0 };
+    return sum + Math.hypot(shape.points[0].x - previous.x, shape.points[0].y - previous.y);
+  }, 0);
+  assert.ok(Math.abs(measured - travel.after) < 1e-6);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { PDFExporter, PlotGeometry } = loadScripts('plotGeometry.js', 'pdfExporter.js');
+
+const transform = { scale: 0.5, xOffset: 10, yOffset: 20, unit: 'mm', pageWidth: 210, pageHeight: 297 };
+const layers = [
+  { channel: 'cyan', shapes: [PlotGeometry.circle(10, 10, 5), PlotGeometry.polyline([{ x: 0, y: 0 }, { x: 20, y: 0 }], 2)] },
+  { channel: 'black', shapes: [PlotGeometry.polygon([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }])] }
+];
+const marks = [{ points: [{ x: 5, y: 5 }, { x: 10, y: 5 }], closed: false }];
+const documentFor = (pdfLayout) => new PDFExporter(null).generateDocument(
+  layers, transform, marks, { colors: { cyan: '#00ffff', black: '#000000' }, pdfLayout }, 'Halftone (test)'
+);
+
+test('writes a cross-reference table that points at every object', () => {
+  const pdf = documentFor('separate');
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+  const xref = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+  assert.ok(pdf.startsWith('xref\n', xref));
+  const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  assert.strictEqual(Number(pdf.match(/\/Size (\d+)/)[1]), offsets.length + 1);
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1}`));
+});
+
+test('gives every stream its length', () => {
+  const pdf = documentFor('separate');
+  const streams = [...pdf.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g)];
+  assert.strictEqual(streams.length, 2);
+  streams.forEach(([, length, content]) => assert.strictEqual(content.length, Number(length)));
+});
+
+test('puts each channel on its own page or overprints them on one', () => {
+  assert.match(documentFor('separate'), /\/Count 2/);
+  const overprint = documentFor('overprint');
+  assert.match(overprint, /\/Count 1/);
+  assert.match(overprint, /\/CS0 cs [\s\S]*\/CS1 cs/);
+  assert.match(overprint, /\/MediaBox \[0 0 595\.276 841\.89\]/);
+});
+
+test('paints each channel in a named Separation color space', () => {
+  const exporter = new PDFExporter(null);
+  assert.strictEqual(
+    exporter.getSeparation('cyan', '#00ffff'),
+    '[/Separation /cyan#20#2300FFFF /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [1 0 0 0] /N 1 >>]'
+  );
+  assert.deepStrictEqual(exporter.hexToCmyk('#000000'), [0, 0, 0, 1]);
+});
+
+test('draws circles as four curves and closes polygons', () => {
+  const exporter = new PDFExporter(null);
+  assert.strictEqual(exporter.shapeToPath(PlotGeometry.circle(0, 0, 2)).match(/ c/g).length, 4);
+  assert.ok(exporter.shapeToPath(layers[1].shapes[0]).endsWith(' h'));
+  assert.strictEqual(exporter.shapeToPath(PlotGeometry.circle(0, 0, 0)), '');
+});
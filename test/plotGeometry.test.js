@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { PlotGeometry } = loadScripts('plotGeometry.js');
+
+const area = (points) => Math.abs(points.reduce((sum, a, i) => {
+  const b = points[(i + 1) % points.length];
+  return sum + a.x * b.y - b.x * a.y;
+}, 0)) / 2;
+const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+const lShape = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 20 }, { x: 0, y: 20 }];
+
+test('tells convex polygons from concave and star-shaped ones', () => {
+  assert.ok(PlotGeometry.isConvex(square));
+  assert.ok(PlotGeometry.isConvex(square.slice().reverse()));
+  assert.ok(!PlotGeometry.isConvex(lShape));
+  const star = [0, 2, 4, 1, 3].map(k => ({ x: Math.cos(k * 2 * Math.PI / 5), y: Math.sin(k * 2 * Math.PI / 5) }));
+  assert.ok(!PlotGeometry.isConvex(star));
+});
+
+test('splits a concave polygon into convex parts of the same area', () => {
+  const parts = PlotGeometry.convexParts(lShape);
+  assert.ok(parts.length >= 2);
+  parts.forEach(part => assert.ok(PlotGeometry.isConvex(part)));
+  assert.ok(Math.abs(parts.reduce((sum, part) => sum + area(part), 0) - area(lShape)) < 1e-6);
+});
+
+test('cuts a ribbon pinched to no width into separate parts', () => {
+  // Two squares joined by a zero-width stretch, walked as one outline.
+  const pinched = [
+    { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 }, { x: 20, y: 5 }, { x: 20, y: 0 }, { x: 30, y: 0 },
+    { x: 30, y: 10 }, { x: 20, y: 10 }, { x: 20, y: 5 }, { x: 10, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 }
+  ];
+  const parts = PlotGeometry.convexParts(pinched);
+  assert.ok(Math.abs(parts.reduce((sum, part) => sum + area(part), 0) - 200) < 1e-6);
+  parts.forEach(part => assert.ok(PlotGeometry.isConvex(part)));
+});
+
+test('insets a concave outline through its distance field', () => {
+  const field = PlotGeometry.distanceField(lShape, 0.25);
+  // The widest circle inside the L sits in its corner: t = √2 (10 - t).
+  assert.ok(Math.abs(field.max - 10 * Math.SQRT2 / (1 + Math.SQRT2)) < 0.3, `max ${field.max}`);
+  const [outline, ...rest] = PlotGeometry.insetOutlines(field, 2);
+  assert.strictEqual(rest.length, 0);
+  // The L inset by 2 is an L of arm width 6: 16 × 6 + 6 × 10.
+  assert.ok(Math.abs(area(outline) - 156) < 4, `area ${area(outline)}`);
+  assert.strictEqual(PlotGeometry.insetOutlines(field, 6).length, 0);
+});
+
+test('traces closed contours around a peak', () => {
+  const cols = 5;
+  const field = new Float32Array(25);
+  field[12] = 1;
+  const [ring] = PlotGeometry.traceContours(field, cols, 5, 0.5);
+  assert.ok(ring.closed);
+  assert.strictEqual(ring.points.length, 4);
+});
+
+test('traces a contour across the field as an open line from edge to edge', () => {
+  const cols = 11;
+  const rows = 7;
+  const field = Float32Array.from({ length: cols * rows }, (_, i) => (i % cols) / (cols - 1));
+  const lines = PlotGeometry.traceContours(field, cols, rows, 0.55);
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(lines[0].closed, false);
+  assert.strictEqual(lines[0].points.length, rows);
+  lines[0].points.forEach(p => assert.ok(Math.abs(p.x - 5.5) < 1e-6));
+  assert.deepStrictEqual([lines[0].points[0].y, lines[0].points[rows - 1].y].sort(), [0, rows - 1]);
+});
+
+test('traces nested rings around a peak at their level', () => {
+  const size = 41;
+  const field = Float32Array.from({ length: size * size }, (_, i) => Math.max(0, 1 - Math.hypot(i % size - 20, Math.floor(i / size) - 20) / 20));
+  [0.25, 0.5, 0.75].forEach(level => {
+    const rings = PlotGeometry.traceContours(field, size, size, level);
+    assert.strictEqual(rings.length, 1);
+    assert.ok(rings[0].closed);
+    rings[0].points.forEach(p => assert.ok(Math.abs(Math.hypot(p.x - 20, p.y - 20) - 20 * (1 - level)) < 0.5));
+  });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { PlotterFills, PlotGeometry, HalftonePatterns } = loadScripts(
+  'colorUtils.js', 'plotGeometry.js', 'plotterFills.js', 'lineMerger.js', 'pathOptimizer.js',
+  'advancedPatterns.js', 'hersheyFont.js', 'halftonePatterns.js'
+);
+
+const lPoints = [
+  { x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 40 }, { x: 0, y: 40 }
+];
+// Within `margin` of the inside of the L.
+const insideL = ({ x, y }, margin) =>
+  (x >= margin && y >= margin && x <= 40 - margin && y <= 10 - margin) ||
+  (x >= margin && y >= margin && x <= 10 - margin && y <= 40 - margin);
+
+test('fills a concave polygon with closed rings that stay inside it', () => {
+  const strokes = new PlotterFills().fillShape(PlotGeometry.polygon(lPoints), 'concentric', 1, 0);
+  assert.ok(strokes.length >= 5);
+  strokes.forEach(stroke => {
+    assert.strictEqual(stroke.closed, true);
+    stroke.points.forEach(p => assert.ok(insideL(p, 0.3), `${p.x}, ${p.y} is outside the L`));
+  });
+  // The outermost ring rounds the inner corner rather than cutting across the notch.
+  assert.ok(strokes[0].points.some(p => Math.hypot(p.x - 10, p.y - 10) < 0.75));
+});
+
+test('hatches a concave polygon without crossing its notch', () => {
+  const strokes = new PlotterFills().fillShape(PlotGeometry.polygon(lPoints), 'hatch', 1, 45);
+  assert.ok(strokes.length > 1);
+  strokes.forEach(stroke => {
+    const { points } = stroke;
+    points.forEach((p, i) => {
+      const q = points[(i + 1) % points.length];
+      if (i === points.length - 1 && !stroke.closed) return;
+      assert.ok(insideL({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 }, 0.3), 'a hatch line crosses the notch');
+    });
+  });
+});
+
+test('draws the thickness spiral as a single ribbon polygon', () => {
+  const width = 60;
+  const height = 60;
+  const values = new Array(width * height).fill(0.5);
+  const shapes = new HalftonePatterns().generateSpiralLinePattern(values, width, height, {
+    dotSize: 4, spacing: 6, renderStyle: 'fill', strokeWidth: 1, spiralModulation: 'thickness'
+  });
+  assert.strictEqual(shapes.length, 1);
+  assert.strictEqual(shapes[0].type, 'polygon');
+  assert.strictEqual(shapes[0].filled, true);
+  assert.strictEqual(PlotGeometry.isConvex(shapes[0].points), false);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { SVGExporter, PlotGeometry } = loadScripts(
+  'plotGeometry.js', 'plotterFills.js', 'knockout.js', 'svgSerializer.js', 'svgExporter.js'
+);
+
+const exporterWith = (physical) => {
+  const exporter = new SVGExporter();
+  exporter.storeGeometry('black', {
+    width: 400, height: 200, color: '#000', physical,
+    shapes: [PlotGeometry.polyline([{ x: 0, y: 0 }, { x: 400, y: 0 }], 1)]
+  });
+  return exporter;
+};
+
+test('places geometry at the physical size it was generated with', () => {
+  const exporter = exporterWith({ pxPerMm: 4, widthMm: 100, heightMm: 50 });
+  // The controls have since been switched back to pixel mode.
+  const config = { channelNames: ['black'], paperSize: 'a4', physical: null };
+  const { transform } = exporter.getPlotLayers('black', config);
+  assert.strictEqual(transform.scale, 0.25);
+  assert.strictEqual(transform.pageWidth, 210);
+
+  const plain = exporter.getPlotLayers('black', { channelNames: ['black'], paperSize: 'image' }).transform;
+  assert.strictEqual(plain.pageWidth, 100);
+});
+
+test('fits geometry generated in pixel mode to the paper', () => {
+  const exporter = exporterWith(null);
+  const config = { channelNames: ['black'], paperSize: 'a4', physical: { pxPerMm: 4, widthMm: 100, heightMm: 50 } };
+  assert.strictEqual(exporter.getPlotLayers('black', config).transform.scale, 190 / 400);
+});